@@ -0,0 +1,171 @@
+const { parseArgs } = require('util');
+
+/**
+ * Параметры командной строки, переопределяющие поля config.js.
+ * configKey - путь к полю в config (через точку для вложенных полей), env - переменная окружения с тем же значением
+ */
+const CONFIG_OPTIONS = {
+    'save': { configKey: 'saveFilePath', env: 'RIMWORLD_SAVE', description: 'Путь к файлу сохранения RimWorld' },
+    'saves-dir': { configKey: 'savesDirectory', env: 'RIMWORLD_SAVES_DIR', description: 'Папка сохранений RimWorld' },
+    'steamcmd': { configKey: 'steamCmdPath', env: 'STEAMCMD_PATH', description: 'Путь к SteamCMD' },
+    'mods-dir': { configKey: 'modsDirectory', env: 'RIMWORLD_MODS_DIR', description: 'Директория для установки модов' },
+    'mods-config': { configKey: 'modsConfigPath', env: 'RIMWORLD_MODS_CONFIG', description: 'Путь к ModsConfig.xml' },
+    'login': { configKey: 'steamLogin', env: 'STEAM_LOGIN', description: 'Логин для Steam' },
+    'app-id': { configKey: 'rimworldAppId', env: 'RIMWORLD_APP_ID', description: 'ID игры RimWorld в Steam' },
+    'search-attempts': { configKey: 'modSearch.maxSearchAttempts', env: 'RIMWORLD_SEARCH_ATTEMPTS', type: 'number', description: 'Максимальное количество попыток поиска мода' },
+    'search-delay': { configKey: 'modSearch.searchDelay', env: 'RIMWORLD_SEARCH_DELAY', type: 'number', description: 'Задержка между попытками поиска (мс)' },
+    'min-confidence': { configKey: 'modSearch.minConfidence', env: 'RIMWORLD_MIN_CONFIDENCE', type: 'number', description: 'Минимальная уверенность поиска мода по названию (0-1)' },
+    'steam-api-url': { configKey: 'steamApiBaseUrl', env: 'STEAM_API_URL', description: 'Базовый адрес Steam Web API' },
+    'steam-api-key': { configKey: 'steamApiKey', env: 'STEAM_API_KEY', description: 'Ключ Steam Web API' },
+    'install-strategy': { configKey: 'installStrategy', env: 'RIMWORLD_INSTALL_STRATEGY', description: 'Способ установки модов: copy, symlink, hardlink' },
+    'sources': { configKey: 'modSources', env: 'RIMWORLD_MOD_SOURCES', type: 'list', description: 'Источники модов через запятую в порядке приоритета: steamcmd, mirror, http' },
+    'mirror': { configKey: 'mirrorDirectory', env: 'RIMWORLD_MIRROR', description: 'Директория локального зеркала модов (источник mirror)' },
+    'mirror-url': { configKey: 'mirrorUrl', env: 'RIMWORLD_MIRROR_URL', description: 'Адрес HTTP-зеркала модов (источник http)' },
+    'host': { configKey: 'dashboard.host', env: 'RIMWORLD_DASHBOARD_HOST', description: 'Адрес веб-панели (serve)' },
+    'port': { configKey: 'dashboard.port', env: 'RIMWORLD_DASHBOARD_PORT', type: 'number', description: 'Порт веб-панели (serve)' }
+};
+
+/**
+ * Коды завершения программы
+ */
+const EXIT_CODES = {
+    // Команда выполнена, все моды установлены
+    OK: 0,
+    // Прочие ошибки (неверные параметры, отмена загрузки, нарушения порядка загрузки и т.д.)
+    ERROR: 1,
+    // Часть модов не удалось загрузить или обновить
+    MODS_FAILED: 2,
+    // Для части модов не найден Steam ID (нет в Steam Workshop или поиск неоднозначен)
+    MODS_UNRESOLVED: 3,
+    // SteamCMD не найден
+    STEAMCMD_MISSING: 4,
+    // Сохранение или список модов не найден или не читается
+    BAD_SAVE: 5
+};
+
+/**
+ * Параметры команд, не связанные с config.js (type по умолчанию - boolean)
+ */
+const COMMAND_FLAGS = {
+    'write': { description: 'Записать результат (load-order: рекомендуемый порядок в ModsConfig.xml)' },
+    'apply': { description: 'Удалить файлы (prune); без флага выводится только предварительный просмотр' },
+    'format': { type: 'string', description: 'Формат списка модов: rml, rimsort, plain' },
+    'output': { type: 'string', description: 'Путь к файлу результата (export)' },
+    'report': { type: 'string', description: 'Записать отчет о запуске (analyze, install, update): .json, .md или .html' },
+    'config': { type: 'string', description: 'Путь к пользовательскому файлу настроек JSON (по умолчанию config.user.json)' },
+    'yes': { short: 'y', description: 'Загружать моды без запроса подтверждения (install)' },
+    'dry-run': { description: 'Только показать, какие моды будут загружены или обновлены (install, update)' },
+    'json': { description: 'Вывести результат в формате JSON (analyze, install, update); сообщения выводятся в stderr' }
+};
+
+/**
+ * Преобразует строковое значение параметра к его типу
+ * @param {Object} option - Описание параметра из CONFIG_OPTIONS
+ * @param {string} value - Значение
+ * @param {string} label - Название параметра для сообщения об ошибке (например, --search-delay)
+ * @returns {string|number|Array<string>}
+ */
+function parseOptionValue(option, value, label) {
+    if (option.type === 'list') {
+        return value.split(',').map(item => item.trim()).filter(Boolean);
+    }
+    if (option.type !== 'number') {
+        return value;
+    }
+    const number = Number(value);
+    if (value.trim() === '' || !Number.isFinite(number)) {
+        throw new Error(`Параметр ${label} должен быть числом, получено: ${value}`);
+    }
+    return number;
+}
+
+/**
+ * Разбирает аргументы командной строки
+ * @param {Array<string>} argv - Аргументы без пути к node и скрипту
+ * @returns {{command: string|undefined, positionals: Array<string>, overrides: Object, flags: Object}}
+ */
+function parseCommandLine(argv) {
+    const options = { help: { type: 'boolean', short: 'h' } };
+    for (const name of Object.keys(CONFIG_OPTIONS)) {
+        options[name] = { type: 'string' };
+    }
+    for (const [name, flag] of Object.entries(COMMAND_FLAGS)) {
+        options[name] = { type: flag.type || 'boolean', ...(flag.short && { short: flag.short }) };
+    }
+
+    const { values, positionals } = parseArgs({ args: argv, options, allowPositionals: true });
+
+    const overrides = {};
+    for (const [name, option] of Object.entries(CONFIG_OPTIONS)) {
+        if (values[name] === undefined) {
+            continue;
+        }
+
+        overrides[option.configKey] = parseOptionValue(option, values[name], `--${name}`);
+    }
+
+    const flags = { help: Boolean(values.help) };
+    for (const [name, flag] of Object.entries(COMMAND_FLAGS)) {
+        flags[name] = flag.type === 'string' ? values[name] : Boolean(values[name]);
+    }
+
+    const [command, ...rest] = positionals;
+    return {
+        command,
+        positionals: rest,
+        overrides,
+        flags
+    };
+}
+
+/**
+ * Применяет переопределения к объекту конфигурации
+ * @param {Object} config - Объект конфигурации
+ * @param {Object} overrides - Значения в формате { 'путь.к.полю': значение }
+ */
+function applyConfigOverrides(config, overrides) {
+    for (const [configKey, value] of Object.entries(overrides)) {
+        const keys = configKey.split('.');
+        const lastKey = keys.pop();
+        let target = config;
+        for (const key of keys) {
+            target[key] = target[key] || {};
+            target = target[key];
+        }
+        target[lastKey] = value;
+    }
+}
+
+/**
+ * Формирует текст справки
+ * @param {Object<string, {usage: string, description: string}>} commands - Описание команд
+ * @returns {string}
+ */
+function formatUsage(commands) {
+    const lines = ['Использование: node main.js <команда> [аргументы] [параметры]', '', 'Команды (list - сохранение .rws или его имя в папке сохранений, список модов .rml, .json, .txt или collection:<ID>):'];
+    for (const command of Object.values(commands)) {
+        lines.push(`  ${command.usage.padEnd(32)} ${command.description}`);
+    }
+
+    lines.push('', 'Параметры:');
+    for (const [name, option] of Object.entries(CONFIG_OPTIONS)) {
+        lines.push(`  ${`--${name} <значение>`.padEnd(32)} ${option.description} (${option.env})`);
+    }
+    for (const [name, flag] of Object.entries(COMMAND_FLAGS)) {
+        const usage = `${flag.short ? `-${flag.short}, ` : ''}--${name}${flag.type === 'string' ? ' <значение>' : ''}`;
+        lines.push(`  ${usage.padEnd(32)} ${flag.description}`);
+    }
+    lines.push(`  ${'-h, --help'.padEnd(32)} Показать эту справку`);
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    CONFIG_OPTIONS,
+    COMMAND_FLAGS,
+    EXIT_CODES,
+    parseOptionValue,
+    parseCommandLine,
+    applyConfigOverrides,
+    formatUsage
+};
@@ -1,18 +1,35 @@
 const path = require('path');
 const os = require('os');
+const { detectPaths } = require('./path_detector');
 
+// Пути, найденные автоматически для текущей платформы (Windows, Linux, macOS)
+const detectedPaths = detectPaths();
+
+// Значения по умолчанию; переопределяются пользовательским файлом настроек, переменными окружения
+// и параметрами командной строки (см. config_loader.js)
 module.exports = {
     // Путь к файлу сохранения RimWorld
     //saveFilePath: path.join(os.homedir(), 'AppData', 'LocalLow', 'Ludeon Studios', 'RimWorld by Ludeon Studios', 'Saves', 'quicksave.rws'),
     saveFilePath: path.join(__dirname, 'старт.rws'),
 
-    // Путь к SteamCMD
-    steamCmdPath: 'C:\\Games\\steamCMD\\steamcmd.exe',
+    // Папка сохранений RimWorld
+    savesDirectory: path.join(detectedPaths.rimworldDataDirectory, 'Saves'),
+
+    // Путь к SteamCMD (steamcmd.exe в Windows, steamcmd.sh в Linux и macOS)
+    steamCmdPath: detectedPaths.steamCmdPath,
     
     // Директория для установки модов RimWorld
     // ВНИМАНИЕ: Не удалять этот комментарий! Это стандартный путь к модам RimWorld
     // Стандартный путь: path.join(os.homedir(), 'AppData', 'LocalLow', 'Ludeon Studios', 'RimWorld by Ludeon Studios', 'Mods')
-    modsDirectory: 'C:\\Program Files (x86)\\RimWorld\\Mods',
+    // Без настройки используется директория Mods игры из библиотеки Steam или 'C:\\Program Files (x86)\\RimWorld\\Mods'
+    modsDirectory: detectedPaths.modsDirectory,
+
+    // Способ установки модов из директории SteamCMD: copy - копирование, symlink - символическая ссылка
+    // (junction в Windows), hardlink - жесткие ссылки на файлы (директории должны быть на одном диске)
+    installStrategy: 'copy',
+
+    // Путь к файлу ModsConfig.xml со списком активных модов RimWorld
+    modsConfigPath: path.join(detectedPaths.rimworldDataDirectory, 'Config', 'ModsConfig.xml'),
     
     // ID игры RimWorld в Steam
     rimworldAppId: '294100',
@@ -22,8 +39,71 @@ module.exports = {
         // Максимальное количество попыток поиска мода
         maxSearchAttempts: 1,
         // Задержка между попытками поиска (в миллисекундах)
-        searchDelay: 1000
+        searchDelay: 1000,
+        // Количество результатов поиска, среди которых выбирается лучшее совпадение
+        maxResults: 10,
+        // Минимальная уверенность совпадения (от 0 до 1), при которой найденный мод выбирается автоматически
+        minConfidence: 0.8
+    },
+    
+    // Базовый адрес Steam Web API (можно заменить на локальный сервер для проверки)
+    steamApiBaseUrl: 'https://api.steampowered.com',
+
+    // Ключ Steam Web API (https://steamcommunity.com/dev/apikey), нужен для поиска модов по названию
+    steamApiKey: '',
+    
+    // Кэш результатов поиска модов в Steam Workshop
+    resolutionCache: {
+        // Путь к файлу кэша
+        path: path.join(__dirname, 'mod_cache.json'),
+        // Срок хранения найденных Steam ID (в миллисекундах)
+        ttl: 30 * 24 * 60 * 60 * 1000,
+        // Срок хранения пометок "мода нет в Steam Workshop" (в миллисекундах)
+        notFoundTtl: 24 * 60 * 60 * 1000,
+        // Срок хранения сведений об элементах Steam Workshop (в миллисекундах)
+        itemTtl: 24 * 60 * 60 * 1000
+    },
+
+    // Директория служебных данных программы (записи об установленных модах, снимки модов для отката)
+    stateDirectory: path.join(__dirname, 'state'),
+
+    // Количество последних запусков, для которых хранятся снимки предыдущих версий модов
+    snapshotRetention: 10,
+
+    // Журнал ошибок в формате JSON Lines (одна запись JSON на строку)
+    log: {
+        // Путь к файлу журнала
+        path: path.join(__dirname, 'error_log.jsonl'),
+        // Минимальный уровень записей: debug, info, warn, error
+        level: 'info',
+        // Размер файла (в байтах), после которого журнал переносится в error_log.1.jsonl
+        maxSize: 1024 * 1024,
+        // Количество хранимых старых файлов журнала
+        maxFiles: 5
     },
+
+    // Источники модов в порядке приоритета: steamcmd (Steam Workshop через SteamCMD),
+    // mirror (локальное зеркало mirrorDirectory), http (HTTP-зеркало mirrorUrl)
+    modSources: ['steamcmd'],
+
+    // Локальное зеркало модов: поддиректории или архивы .zip с именами <steamId> или <packageId>
+    mirrorDirectory: '',
+
+    // Адрес HTTP-зеркала модов: архивы доступны по адресам <mirrorUrl>/<steamId>.zip или <mirrorUrl>/<packageId>.zip
+    mirrorUrl: '',
+
+    // Веб-панель (команда serve)
+    dashboard: {
+        // Адрес, на котором принимаются подключения (0.0.0.0 - со всех адресов локальной сети)
+        host: '127.0.0.1',
+        // Порт
+        port: 8080,
+        // Максимальный размер загружаемого файла сохранения (в байтах)
+        maxUploadSize: 256 * 1024 * 1024
+    },
+
+    // Файл ручных сопоставлений модов Steam ID: { "packageId или название": "Steam ID" или null }
+    overridesPath: path.join(__dirname, 'mod_overrides.json'),
     
     // Логин для Steam (по умолчанию anonymous)
     steamLogin: 'user_180699'
@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+const { CONFIG_OPTIONS, EXIT_CODES, parseOptionValue, applyConfigOverrides } = require('./cli');
+
+// Пользовательский файл настроек по умолчанию
+const USER_CONFIG_PATH = path.join(__dirname, 'config.user.json');
+
+// Переменная окружения с путем к пользовательскому файлу настроек
+const USER_CONFIG_ENV = 'RIMWORLD_MM_CONFIG';
+
+/**
+ * Проверки путей из config.js.
+ * file - должен существовать файл, directory - должна существовать директория,
+ * creatable - должна существовать директория или ее родительская директория (директория будет создана).
+ * exitCode - код завершения, если путь неверен (по умолчанию EXIT_CODES.ERROR)
+ */
+const PATH_CHECKS = {
+    saveFilePath: { kind: 'file', description: 'Файл сохранения', exitCode: EXIT_CODES.BAD_SAVE },
+    savesDirectory: { kind: 'directory', description: 'Папка сохранений' },
+    steamCmdPath: { kind: 'file', description: 'SteamCMD', exitCode: EXIT_CODES.STEAMCMD_MISSING },
+    modsDirectory: { kind: 'creatable', description: 'Директория модов' },
+    mirrorDirectory: { kind: 'directory', description: 'Зеркало модов' },
+    // Проверяется директория файла ModsConfig.xml
+    modsConfigPath: { kind: 'creatable', description: 'ModsConfig.xml', parent: true }
+};
+
+// Поля config.js с путями: относительные пути из файла настроек считаются от директории этого файла
+const PATH_KEYS = [...Object.keys(PATH_CHECKS), 'stateDirectory', 'log.path', 'resolutionCache.path', 'overridesPath'];
+
+/**
+ * Раскладывает вложенный объект настроек в переопределения вида { 'путь.к.полю': значение }
+ * @param {Object} values - Объект настроек
+ * @param {Object} defaults - Значения по умолчанию того же уровня (для проверки имен и типов полей)
+ * @param {string} source - Источник настроек для сообщений
+ * @param {string} [prefix] - Путь к текущему уровню
+ * @returns {Object}
+ */
+function flattenConfig(values, defaults, source, prefix = '') {
+    const overrides = {};
+    for (const [key, value] of Object.entries(values)) {
+        const configKey = `${prefix}${key}`;
+        if (!(key in defaults)) {
+            console.warn(`Неизвестный параметр ${configKey} в ${source} пропущен`);
+            continue;
+        }
+
+        const defaultValue = defaults[key];
+        const isObject = candidate => candidate !== null && typeof candidate === 'object' && !Array.isArray(candidate);
+        if (isObject(defaultValue)) {
+            if (!isObject(value)) {
+                throw new Error(`Параметр ${configKey} в ${source} должен быть объектом`);
+            }
+            Object.assign(overrides, flattenConfig(value, defaultValue, source, `${configKey}.`));
+            continue;
+        }
+        if (defaultValue !== null && value !== null && typeof value !== typeof defaultValue) {
+            throw new Error(`Параметр ${configKey} в ${source} должен иметь тип ${typeof defaultValue}, получено: ${JSON.stringify(value)}`);
+        }
+        overrides[configKey] = value;
+    }
+    return overrides;
+}
+
+/**
+ * Читает пользовательский файл настроек JSON
+ * @param {Object} config - Объект конфигурации со значениями по умолчанию
+ * @param {string} filePath - Путь к файлу
+ * @param {boolean} required - Файл указан явно и должен существовать
+ * @returns {Object} Переопределения в формате { 'путь.к.полю': значение }
+ */
+function readUserConfig(config, filePath, required) {
+    if (!fs.existsSync(filePath)) {
+        if (required) {
+            throw new Error(`Файл настроек не найден: ${filePath}`);
+        }
+        return {};
+    }
+
+    let values;
+    try {
+        values = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Не удалось прочитать файл настроек ${filePath}: ${error.message}`);
+    }
+    if (values === null || typeof values !== 'object' || Array.isArray(values)) {
+        throw new Error(`Файл настроек ${filePath} должен содержать объект JSON`);
+    }
+
+    const overrides = flattenConfig(values, config, filePath);
+    // Относительные пути считаются от директории файла настроек
+    for (const configKey of PATH_KEYS) {
+        if (typeof overrides[configKey] === 'string' && overrides[configKey] !== '') {
+            overrides[configKey] = path.resolve(path.dirname(filePath), overrides[configKey]);
+        }
+    }
+    return overrides;
+}
+
+/**
+ * Читает переопределения из переменных окружения (имена переменных заданы в CONFIG_OPTIONS)
+ * @param {Object<string, string>} env - Переменные окружения
+ * @returns {{overrides: Object, sources: Object<string, string>}}
+ */
+function readEnvOverrides(env) {
+    const overrides = {};
+    const sources = {};
+    for (const option of Object.values(CONFIG_OPTIONS)) {
+        if (env[option.env] === undefined || env[option.env] === '') {
+            continue;
+        }
+        overrides[option.configKey] = parseOptionValue(option, env[option.env], option.env);
+        sources[option.configKey] = `переменная окружения ${option.env}`;
+    }
+    return { overrides, sources };
+}
+
+/**
+ * Загружает конфигурацию по слоям: значения по умолчанию из config.js, пользовательский файл JSON,
+ * переменные окружения, параметры командной строки. Каждый следующий слой переопределяет предыдущие
+ * @param {Object} config - Объект конфигурации со значениями по умолчанию (изменяется)
+ * @param {Object} options
+ * @param {string} [options.configPath] - Путь к файлу настроек из параметра --config
+ * @param {Object} [options.cliOverrides] - Переопределения из командной строки
+ * @param {Object<string, string>} [options.env] - Переменные окружения
+ * @returns {Object<string, string>} Источник значения для каждого переопределенного поля
+ */
+function loadConfig(config, { configPath, cliOverrides = {}, env = process.env } = {}) {
+    const sources = {};
+    const explicitPath = configPath || env[USER_CONFIG_ENV];
+    const userConfigPath = path.resolve(explicitPath || USER_CONFIG_PATH);
+
+    const userOverrides = readUserConfig(config, userConfigPath, Boolean(explicitPath));
+    applyConfigOverrides(config, userOverrides);
+    for (const configKey of Object.keys(userOverrides)) {
+        sources[configKey] = `файл настроек ${userConfigPath}`;
+    }
+
+    const envLayer = readEnvOverrides(env);
+    applyConfigOverrides(config, envLayer.overrides);
+    Object.assign(sources, envLayer.sources);
+
+    applyConfigOverrides(config, cliOverrides);
+    for (const configKey of Object.keys(cliOverrides)) {
+        const name = Object.keys(CONFIG_OPTIONS).find(optionName => CONFIG_OPTIONS[optionName].configKey === configKey);
+        sources[configKey] = `параметр --${name}`;
+    }
+
+    return sources;
+}
+
+/**
+ * Проверяет пути, нужные команде, до начала работы. Все ошибки собираются в одно исключение
+ * @param {Object} config - Объект конфигурации
+ * @param {Array<string>} configKeys - Проверяемые поля (ключи PATH_CHECKS)
+ * @param {Object<string, string>} [sources] - Источники значений (результат loadConfig)
+ */
+function validatePaths(config, configKeys, sources = {}) {
+    const errors = [];
+    let exitCode = EXIT_CODES.ERROR;
+    for (const configKey of configKeys) {
+        const check = PATH_CHECKS[configKey];
+        const value = config[configKey];
+        const source = sources[configKey] || 'config.js';
+
+        if (typeof value !== 'string' || value === '') {
+            errors.push(`${check.description} не указан (${configKey}, ${source})`);
+            exitCode = exitCode === EXIT_CODES.ERROR ? check.exitCode ?? EXIT_CODES.ERROR : exitCode;
+            continue;
+        }
+
+        const checkedPath = check.parent ? path.dirname(value) : value;
+        const stats = fs.statSync(checkedPath, { throwIfNoEntry: false });
+        let problem = null;
+        if (check.kind === 'file' && !stats?.isFile()) {
+            problem = stats ? 'не является файлом' : 'не существует';
+        } else if (check.kind !== 'file' && stats && !stats.isDirectory()) {
+            problem = check.parent ? `${checkedPath} не является директорией` : 'не является директорией';
+        } else if (check.kind === 'directory' && !stats) {
+            problem = 'не существует';
+        } else if (check.kind === 'creatable' && !stats && !fs.existsSync(path.dirname(checkedPath))) {
+            problem = `не существует ${check.parent ? checkedPath : 'директория'} и ее родительская директория`;
+        }
+
+        if (problem) {
+            errors.push(`${check.description} ${value}: ${problem} (${configKey}, ${source})`);
+            exitCode = exitCode === EXIT_CODES.ERROR ? check.exitCode ?? EXIT_CODES.ERROR : exitCode;
+        }
+    }
+
+    if (errors.length > 0) {
+        const error = new Error(`Неверные пути в настройках:\n${errors.map(message => `- ${message}`).join('\n')}`);
+        // Код завершения первой проверки, для которой он задан
+        error.exitCode = exitCode;
+        throw error;
+    }
+}
+
+module.exports = {
+    USER_CONFIG_PATH,
+    USER_CONFIG_ENV,
+    PATH_CHECKS,
+    loadConfig,
+    validatePaths
+};
@@ -0,0 +1,226 @@
+const { REPORT_ACTIONS } = require('./run_report');
+
+/**
+ * Формирует HTML-страницу веб-панели. Страница получает данные через REST API
+ * и поток событий /api/events (см. web_server.js)
+ * @param {string} token - Токен запуска панели для запросов POST (заголовок X-Dashboard-Token)
+ * @returns {string}
+ */
+function renderDashboardPage(token) {
+    return `<!DOCTYPE html>
+<html lang="ru">
+<head>
+<meta charset="utf-8">
+<title>Моды RimWorld</title>
+<style>
+body { font-family: sans-serif; margin: 2em; max-width: 1200px; }
+section { margin-bottom: 1.5em; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; }
+th { background: #eee; }
+tr.failed { background: #fdd; }
+tr.done { background: #dfd; }
+pre { background: #222; color: #ddd; padding: 8px; max-height: 20em; overflow: auto; white-space: pre-wrap; }
+#confirmation { border: 2px solid #c80; padding: 1em; display: none; }
+#error { color: #c00; }
+button { margin-right: 0.5em; }
+</style>
+</head>
+<body>
+<h1>Моды RimWorld</h1>
+<p id="settings"></p>
+<p id="error"></p>
+
+<section>
+<h2>Сохранение</h2>
+<select id="saves"></select>
+<button id="select">Выбрать</button>
+<input type="file" id="file" accept=".rws">
+<button id="upload">Загрузить файл</button>
+<p id="selected">Сохранение не выбрано</p>
+</section>
+
+<section>
+<h2>Действия</h2>
+<button id="analyze">Найти отсутствующие моды</button>
+<button id="download">Загрузить отсутствующие моды</button>
+<p id="job"></p>
+</section>
+
+<section id="confirmation">
+<h2>Подтверждение загрузки</h2>
+<ul id="confirmation-mods"></ul>
+<button id="confirm">Загрузить</button>
+<button id="cancel">Отменить</button>
+</section>
+
+<section>
+<h2>Моды</h2>
+<table>
+<thead><tr><th>Мод</th><th>packageId</th><th>Steam ID</th><th>Действие</th><th>Ошибка</th></tr></thead>
+<tbody id="mods"></tbody>
+</table>
+</section>
+
+<section>
+<h2>Вывод SteamCMD</h2>
+<pre id="output"></pre>
+</section>
+
+<section>
+<h2>Установленные моды</h2>
+<button id="refresh-installed">Обновить</button>
+<ul id="installed"></ul>
+</section>
+
+<script>
+const ACTIONS = ${JSON.stringify(REPORT_ACTIONS)};
+const TOKEN = ${JSON.stringify(token)};
+const FAILED_ACTIONS = ['failed', 'not_found', 'unavailable', 'cancelled'];
+const DONE_ACTIONS = ['downloaded', 'mirrored', 'copied', 'relinked', 'updated'];
+const JOB_STATUSES = { running: 'выполняется', waiting: 'ожидает подтверждения', done: 'завершена', failed: 'ошибка' };
+const $ = id => document.getElementById(id);
+const rows = new Map();
+
+function element(tag, text, className) {
+    const node = document.createElement(tag);
+    node.textContent = text;
+    if (className) {
+        node.className = className;
+    }
+    return node;
+}
+
+async function api(method, url, body, headers) {
+    $('error').textContent = '';
+    const response = await fetch(url, { method, body, headers: { ...headers, 'X-Dashboard-Token': TOKEN } });
+    const data = await response.json();
+    if (!response.ok) {
+        $('error').textContent = data.error;
+        throw new Error(data.error);
+    }
+    return data;
+}
+
+const postJson = (url, data) => api('POST', url, JSON.stringify(data || {}), { 'Content-Type': 'application/json' });
+
+function renderMod(entry) {
+    const key = (entry.modId || entry.steamId).toLowerCase();
+    let row = rows.get(key);
+    if (!row) {
+        row = document.createElement('tr');
+        rows.set(key, row);
+        $('mods').appendChild(row);
+    }
+    const action = (ACTIONS[entry.action] || entry.action || '') + (entry.dependency ? ' (зависимость)' : '');
+    row.replaceChildren(...[entry.modName, entry.modId, entry.steamId, action, entry.error || ''].map(text => element('td', text || '')));
+    row.className = FAILED_ACTIONS.includes(entry.action) ? 'failed' : DONE_ACTIONS.includes(entry.action) ? 'done' : '';
+}
+
+function renderConfirmation(mods) {
+    $('confirmation').style.display = mods ? 'block' : 'none';
+    $('confirmation-mods').replaceChildren(...(mods || []).map(mod => element('li', mod.modName + ' (' + mod.steamId + ')')));
+}
+
+function renderJob(job) {
+    if (!job) {
+        $('job').textContent = '';
+        return;
+    }
+    let text = 'Задача ' + job.type + ' (' + job.save + ', запуск ' + job.runId + '): ' + JOB_STATUSES[job.status];
+    if (job.error) {
+        text += ': ' + job.error;
+    }
+    if (job.report) {
+        text += '. Итоги: ' + Object.entries(job.report.summary).map(([action, count]) => (ACTIONS[action] || action) + ' - ' + count).join(', ');
+    }
+    $('job').textContent = text;
+    const busy = job.status === 'running' || job.status === 'waiting';
+    $('analyze').disabled = busy;
+    $('download').disabled = busy;
+    if (job.status !== 'waiting') {
+        renderConfirmation(null);
+    }
+}
+
+function renderState(state) {
+    $('settings').textContent = 'Директория модов: ' + state.modsDirectory + ', способ установки: ' + state.installStrategy;
+    $('selected').textContent = state.selectedSave ?
+        'Выбрано: ' + state.selectedSave.name + ', модов: ' + state.selectedSave.mods.length + ', версия игры: ' + (state.selectedSave.gameVersion || 'не указана') :
+        'Сохранение не выбрано';
+    renderJob(state.job);
+    renderConfirmation(state.confirmation);
+    if (state.job && state.job.report) {
+        state.job.report.mods.forEach(renderMod);
+    }
+}
+
+async function loadSaves() {
+    const { saves, savesError } = await api('GET', '/api/saves');
+    $('saves').replaceChildren(...saves.map((save) => {
+        const label = save.name + (save.source === 'upload' ? ' (загружено)' : '') + ', модов: ' + save.modCount;
+        const option = element('option', label);
+        option.value = JSON.stringify({ name: save.name, source: save.source });
+        return option;
+    }));
+    if (savesError) {
+        $('error').textContent = savesError;
+    }
+}
+
+async function loadInstalled() {
+    const { mods } = await api('GET', '/api/installed');
+    $('installed').replaceChildren(...mods.map(mod => element('li',
+        mod.folder + (mod.location === 'steamcmd' ? ' (SteamCMD)' : '') +
+        (mod.linkTarget ? ' -> ' + mod.linkTarget + (mod.broken ? ' (битая ссылка)' : '') : ''))));
+}
+
+function startJob(url) {
+    rows.clear();
+    $('mods').replaceChildren();
+    $('output').textContent = '';
+    return postJson(url);
+}
+
+$('select').onclick = () => $('saves').value && postJson('/api/saves/select', JSON.parse($('saves').value));
+$('upload').onclick = async () => {
+    const file = $('file').files[0];
+    if (file) {
+        await api('POST', '/api/saves/upload?name=' + encodeURIComponent(file.name), file, { 'Content-Type': 'application/octet-stream' });
+        await loadSaves();
+    }
+};
+$('analyze').onclick = () => startJob('/api/analyze');
+$('download').onclick = () => startJob('/api/download');
+$('confirm').onclick = () => postJson('/api/confirm', { confirmed: true });
+$('cancel').onclick = () => postJson('/api/confirm', { confirmed: false });
+$('refresh-installed').onclick = loadInstalled;
+
+const events = new EventSource('/api/events');
+events.addEventListener('state', event => renderState(JSON.parse(event.data)));
+events.addEventListener('job', (event) => {
+    const job = JSON.parse(event.data);
+    renderJob(job);
+    if (job.status === 'done' && job.type === 'download') {
+        loadInstalled();
+    }
+});
+events.addEventListener('confirm', event => renderConfirmation(JSON.parse(event.data).mods));
+events.addEventListener('mod', event => renderMod(JSON.parse(event.data)));
+events.addEventListener('steamcmd-output', (event) => {
+    const output = $('output');
+    output.textContent += JSON.parse(event.data).text;
+    output.scrollTop = output.scrollHeight;
+});
+
+loadSaves().catch(() => {});
+loadInstalled().catch(() => {});
+</script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    renderDashboardPage
+};
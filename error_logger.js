@@ -1,61 +1,186 @@
 const fs = require('fs');
 const path = require('path');
+const config = require('./config');
 
+// Уровни записей журнала по возрастанию важности
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * Создает ID запуска программы: время запуска и ID процесса
+ * @returns {string}
+ */
+function createRunId() {
+    const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    return `${timestamp}-${process.pid}`;
+}
+
+/**
+ * Журнал в формате JSON Lines: каждая запись - объект JSON в отдельной строке
+ * с временем, уровнем и ID запуска. Файл журнала переносится в архив по достижении config.log.maxSize
+ */
 class ErrorLogger {
     constructor() {
-        this.logFile = path.join(__dirname, 'error_log.txt');
+        this.runId = createRunId();
+        this.logPath = null;
+    }
+
+    /**
+     * Создает журнал, который пишет в другой файл, но разделяет с этим журналом ID запуска (в том числе после startRun)
+     * @param {string} logPath - Путь к файлу журнала
+     * @returns {ErrorLogger}
+     */
+    forFile(logPath) {
+        const logger = Object.create(this);
+        logger.logPath = logPath;
+        return logger;
+    }
+
+    /**
+     * Начинает новый запуск с новым ID. Нужен долго работающему процессу (веб-панель),
+     * где каждая загрузка - отдельный запуск со своим журналом, отчетом и снимками для отката
+     * @returns {string} ID нового запуска
+     */
+    startRun() {
+        this.runId = createRunId();
+        return this.runId;
+    }
+
+    /**
+     * Путь к файлу журнала: заданный в forFile или из config (читается при каждой записи, чтобы учитывать переопределения)
+     * @returns {string}
+     */
+    get logFile() {
+        return this.logPath || config.log.path;
+    }
+
+    /**
+     * Путь к архивному файлу журнала
+     * @param {number} index - Номер архива (1 - самый новый)
+     * @returns {string}
+     */
+    getArchivePath(index) {
+        const extension = path.extname(this.logFile);
+        return `${this.logFile.slice(0, this.logFile.length - extension.length)}.${index}${extension}`;
+    }
+
+    /**
+     * Переносит файл журнала в архив, если он превысил config.log.maxSize
+     * @param {number} entrySize - Размер добавляемой записи в байтах
+     */
+    rotate(entrySize) {
+        const stats = fs.statSync(this.logFile, { throwIfNoEntry: false });
+        if (!stats || stats.size === 0 || stats.size + entrySize <= config.log.maxSize) {
+            return;
+        }
+
+        fs.rmSync(this.getArchivePath(config.log.maxFiles), { force: true });
+        for (let index = config.log.maxFiles - 1; index >= 1; index--) {
+            if (fs.existsSync(this.getArchivePath(index))) {
+                fs.renameSync(this.getArchivePath(index), this.getArchivePath(index + 1));
+            }
+        }
+        if (config.log.maxFiles > 0) {
+            fs.renameSync(this.logFile, this.getArchivePath(1));
+        } else {
+            fs.rmSync(this.logFile, { force: true });
+        }
+    }
+
+    /**
+     * Добавляет запись в журнал
+     * @param {'debug'|'info'|'warn'|'error'} level - Уровень записи
+     * @param {string} message - Сообщение
+     * @param {Object} [fields] - Дополнительные поля записи (modId, steamId, category и т.д.)
+     */
+    log(level, message, fields = {}) {
+        if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(config.log.level)) {
+            return;
+        }
+
+        const entry = `${JSON.stringify({ time: new Date().toISOString(), level, runId: this.runId, message, ...fields })}\n`;
+        try {
+            fs.mkdirSync(path.dirname(this.logFile), { recursive: true });
+            this.rotate(Buffer.byteLength(entry));
+            fs.appendFileSync(this.logFile, entry);
+        } catch (err) {
+            console.error('Ошибка при записи в лог:', err);
+        }
+    }
+
+    /**
+     * Добавляет в журнал отладочную запись
+     * @param {string} message - Сообщение
+     * @param {Object} [fields] - Дополнительные поля записи
+     */
+    debug(message, fields) {
+        this.log('debug', message, fields);
+    }
+
+    /**
+     * Добавляет в журнал информационную запись
+     * @param {string} message - Сообщение
+     * @param {Object} [fields] - Дополнительные поля записи
+     */
+    info(message, fields) {
+        this.log('info', message, fields);
     }
 
     /**
-     * Логирует ошибку в файл
+     * Добавляет в журнал предупреждение
+     * @param {string} message - Сообщение
+     * @param {Object} [fields] - Дополнительные поля записи
+     */
+    warn(message, fields) {
+        this.log('warn', message, fields);
+    }
+
+    /**
+     * Добавляет в журнал ошибку
+     * @param {string} message - Сообщение
+     * @param {Object} [fields] - Дополнительные поля записи
+     */
+    error(message, fields) {
+        this.log('error', message, fields);
+    }
+
+    /**
+     * Логирует ошибку загрузки мода
      * @param {string} modId - ID мода
      * @param {string} modName - Название мода
      * @param {string} error - Текст ошибки
-     * @param {string} details - Дополнительные детали
+     * @param {string} details - Дополнительные детали (например, вывод SteamCMD)
      * @param {Object} modLists - Списки модов
      * @param {Array<string>} modLists.modIds - Список ID модов
      * @param {Array<string>} modLists.modSteamIds - Список Steam ID модов
      * @param {Array<string>} modLists.modNames - Список названий модов
+     * @param {string} category - Категория ошибки (см. DownloadCategory)
      */
-    logError(modId, modName, error, details = '', modLists = {}) {
-        const timestamp = new Date().toISOString();
-        let logEntry = `[${timestamp}]\n`;
-
+    logError(modId, modName, error, details = '', modLists = {}, category = '') {
         // Находим индекс мода в списках
         const modIndex = modLists.modIds?.indexOf(modId) ?? -1;
-        
-        // Добавляем информацию о моде
-        logEntry += `Мод не загружен:\n`;
-        logEntry += `ID: ${modId}\n`;
-        logEntry += `Steam ID: ${modLists.modSteamIds?.[modIndex] || modId}\n`;
-        logEntry += `Название: ${modLists.modNames?.[modIndex] || modName}\n`;
-        logEntry += `Ошибка: ${error}\n`;
-
-        // Добавляем детали, если они есть
-        if (details) {
-            logEntry += `Детали ошибки: ${details}\n`;
-        }
 
-        // Добавляем разделитель
-        logEntry += `${'-'.repeat(80)}\n`;
-
-        try {
-            fs.appendFileSync(this.logFile, logEntry);
-        } catch (err) {
-            console.error('Ошибка при записи в лог:', err);
-        }
+        this.error(error, {
+            modId,
+            steamId: modLists.modSteamIds?.[modIndex] || null,
+            modName: modLists.modNames?.[modIndex] || modName,
+            ...(category && { category }),
+            ...(details && { details })
+        });
     }
 
     /**
-     * Очищает лог ошибок
+     * Очищает журнал вместе с архивными файлами
      */
     clearLog() {
         try {
             fs.writeFileSync(this.logFile, '');
+            for (let index = 1; index <= config.log.maxFiles; index++) {
+                fs.rmSync(this.getArchivePath(index), { force: true });
+            }
         } catch (err) {
             console.error('Ошибка при очистке лога:', err);
         }
     }
 }
 
-module.exports = new ErrorLogger(); 
\ No newline at end of file
+module.exports = new ErrorLogger();
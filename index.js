@@ -0,0 +1,79 @@
+const path = require('path');
+const RimworldSaveReader = require('./rimworld_save_reader');
+const SteamCmdManager = require('./steam_cmd_manager');
+const { readModList, writeModList, mergeModLists } = require('./mod_list_formats');
+const { DownloadCategory } = require('./steam_cmd_output_parser');
+const { VerifyStatus } = require('./mod_verifier');
+const { REPORT_ACTIONS } = require('./run_report');
+const { INSTALL_STRATEGIES, validateInstallStrategy } = require('./install_strategy');
+const { ModSource, MOD_SOURCES, registerModSource } = require('./mod_sources');
+
+/**
+ * Программный интерфейс для использования в других приложениях (require('rimworld-mod-installer')).
+ * В отличие от main.js, ничего не читает из stdin и не завершает процесс: методы возвращают промисы,
+ * ход работы передается событиями менеджера (см. SteamCmdManager)
+ */
+
+/**
+ * Дополняет настройки путями к файлам, которые пишет программа, в текущей директории приложения
+ * @param {ManagerOptions} options - Настройки
+ * @returns {ManagerOptions}
+ */
+function withWorkingDirectoryPaths(options) {
+    const directory = process.cwd();
+    return {
+        outputDirectory: directory,
+        stateDirectory: path.join(directory, 'state'),
+        logPath: path.join(directory, 'error_log.jsonl'),
+        ...options,
+        resolutionCache: { path: path.join(directory, 'mod_cache.json'), ...options.resolutionCache }
+    };
+}
+
+/**
+ * Создает менеджер модов. Файлы, которые пишет менеджер (списки модов, записи об установке и снимки, журнал, кэш поиска),
+ * по умолчанию создаются в текущей директории приложения, а не в директории пакета. Без функции confirm
+ * загрузка не подтверждается: моды загружаются только с параметром assumeYes
+ * @param {ManagerOptions} [options] - Настройки (не указанные поля берутся из config.js)
+ * @returns {SteamCmdManager}
+ */
+function createManager(options = {}) {
+    if (options.installStrategy !== undefined) {
+        validateInstallStrategy(options.installStrategy);
+    }
+    return new SteamCmdManager(withWorkingDirectoryPaths(options));
+}
+
+/**
+ * Читает моды для загрузки из сохранений или файлов списков модов (формат определяется автоматически).
+ * Моды нескольких списков объединяются без повторов
+ * @param {string|Array<string>} sources - Пути к сохранениям или спискам модов
+ * @param {ManagerOptions} [options] - Настройки, как у createManager: адрес и ключ Steam Web API, кэш поиска
+ *        для коллекций Steam Workshop (по умолчанию в текущей директории) и вывод сообщений logger (не указанные поля берутся из config.js)
+ * @returns {Promise<{mods: Array<[string, string, string]>, skippedMods: Array<[string, string, string]>, gameVersion: string|null}>}
+ *          Моды для загрузки, пропущенные официальные DLC и ядро игры, версия игры
+ */
+async function readMods(sources, options = {}) {
+    const modLists = [];
+    for (const source of [].concat(sources)) {
+        modLists.push(await readModList(source, undefined, withWorkingDirectoryPaths(options)));
+    }
+    const modList = mergeModLists(modLists);
+    const { mods, skippedMods } = new RimworldSaveReader().splitModList(modList);
+    return { mods, skippedMods, gameVersion: modList.gameVersion };
+}
+
+module.exports = {
+    SteamCmdManager,
+    createManager,
+    readMods,
+    readModList,
+    writeModList,
+    DownloadCategory,
+    VerifyStatus,
+    REPORT_ACTIONS,
+    INSTALL_STRATEGIES,
+    ModSource,
+    MOD_SOURCES,
+    registerModSource
+};
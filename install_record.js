@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+/**
+ * Запись об установленном моде
+ * @typedef {Object} InstalledModRecord
+ * @property {number|null} timeUpdated - Время обновления мода в Steam Workshop на момент установки (секунды Unix)
+ * @property {number} installedAt - Время установки (секунды Unix)
+ * @property {number|null} [size] - Размер мода по манифесту SteamCMD на момент установки (байт)
+ * @property {string} [redownload] - Причина, по которой мод нужно загрузить заново (проверка не пройдена)
+ */
+
+/**
+ * Локальная запись об установленных модах: какая версия мода из Steam Workshop скопирована в директорию модов.
+ * Записи хранятся отдельно для каждой директории модов
+ */
+class InstallRecord {
+    /**
+     * @param {string} modsDirectory - Директория модов
+     * @param {string} [recordPath] - Путь к файлу записи (по умолчанию в config.stateDirectory)
+     * @param {{warn: Function}} [logger] - Вывод предупреждения о поврежденном файле записи
+     */
+    constructor(modsDirectory, recordPath = path.join(config.stateDirectory, 'installed_mods.json'), logger = console) {
+        this.modsDirectory = path.resolve(modsDirectory);
+        this.recordPath = recordPath;
+        this.logger = logger;
+        this.data = null;
+        this.isDirty = false;
+    }
+
+    /**
+     * Загружает файл записи при первом обращении
+     * @returns {Object<string, Object<string, InstalledModRecord>>} Директория модов -> Steam ID -> запись
+     */
+    load() {
+        if (this.data) {
+            return this.data;
+        }
+
+        this.data = {};
+        if (fs.existsSync(this.recordPath)) {
+            try {
+                this.data = JSON.parse(fs.readFileSync(this.recordPath, 'utf8')).directories || {};
+            } catch (error) {
+                this.logger.warn(`Файл ${this.recordPath} поврежден и будет перезаписан: ${error.message}`);
+            }
+        }
+        return this.data;
+    }
+
+    /**
+     * Возвращает запись об установленном моде
+     * @param {string} steamId - Steam ID мода
+     * @returns {InstalledModRecord|null}
+     */
+    get(steamId) {
+        return this.load()[this.modsDirectory]?.[steamId] || null;
+    }
+
+    /**
+     * Запоминает установку мода (пометка о повторной загрузке снимается)
+     * @param {string} steamId - Steam ID мода
+     * @param {number|null} timeUpdated - Время обновления мода в Steam Workshop (секунды Unix)
+     * @param {number|null} [size] - Размер мода по манифесту SteamCMD (байт)
+     */
+    set(steamId, timeUpdated, size = null) {
+        const data = this.load();
+        data[this.modsDirectory] = data[this.modsDirectory] || {};
+        data[this.modsDirectory][steamId] = {
+            timeUpdated,
+            installedAt: Math.floor(Date.now() / 1000),
+            size
+        };
+        this.isDirty = true;
+    }
+
+    /**
+     * Помечает мод для повторной загрузки
+     * @param {string} steamId - Steam ID мода
+     * @param {string} reason - Причина (результат проверки мода)
+     */
+    markForRedownload(steamId, reason) {
+        const data = this.load();
+        data[this.modsDirectory] = data[this.modsDirectory] || {};
+        data[this.modsDirectory][steamId] = {
+            timeUpdated: null,
+            installedAt: Math.floor(Date.now() / 1000),
+            ...data[this.modsDirectory][steamId],
+            redownload: reason
+        };
+        this.isDirty = true;
+    }
+
+    /**
+     * Снимает пометку о повторной загрузке (мод прошел проверку)
+     * @param {string} steamId - Steam ID мода
+     */
+    clearRedownload(steamId) {
+        const record = this.load()[this.modsDirectory]?.[steamId];
+        if (record?.redownload) {
+            delete record.redownload;
+            this.isDirty = true;
+        }
+    }
+
+    /**
+     * Возвращает причину повторной загрузки мода
+     * @param {string} steamId - Steam ID мода
+     * @returns {string|null} Причина или null, если мод не помечен
+     */
+    getRedownloadReason(steamId) {
+        return this.get(steamId)?.redownload || null;
+    }
+
+    /**
+     * Восстанавливает прежнюю запись о моде (при откате установки)
+     * @param {string} steamId - Steam ID мода
+     * @param {InstalledModRecord|null} record - Прежняя запись или null, если мод не был установлен
+     */
+    restore(steamId, record) {
+        const data = this.load();
+        data[this.modsDirectory] = data[this.modsDirectory] || {};
+        if (record) {
+            data[this.modsDirectory][steamId] = record;
+        } else {
+            delete data[this.modsDirectory][steamId];
+        }
+        this.isDirty = true;
+    }
+
+    /**
+     * Удаляет запись о моде
+     * @param {string} steamId - Steam ID мода
+     */
+    remove(steamId) {
+        const directory = this.load()[this.modsDirectory];
+        if (directory?.[steamId]) {
+            delete directory[steamId];
+            this.isDirty = true;
+        }
+    }
+
+    /**
+     * Сохраняет файл записи, если он изменился
+     */
+    async save() {
+        if (!this.isDirty) {
+            return;
+        }
+        await fs.promises.mkdir(path.dirname(this.recordPath), { recursive: true });
+        await fs.promises.writeFile(this.recordPath, `${JSON.stringify({ directories: this.load() }, null, 2)}\n`, 'utf8');
+        this.isDirty = false;
+    }
+}
+
+module.exports = InstallRecord;
@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Способы установки мода из директории SteamCMD в директорию модов
+ */
+const INSTALL_STRATEGIES = {
+    // Полная копия мода
+    copy: 'копирование',
+    // Ссылка на директорию мода в SteamCMD (в Windows - junction, не требует прав администратора)
+    symlink: 'символическая ссылка',
+    // Копия структуры директорий, файлы которой - жесткие ссылки на файлы SteamCMD (только в пределах одного диска)
+    hardlink: 'жесткие ссылки'
+};
+
+/**
+ * Проверяет способ установки модов
+ * @param {string} strategy - Способ установки (installStrategy в config.js)
+ */
+function validateInstallStrategy(strategy) {
+    if (!Object.hasOwn(INSTALL_STRATEGIES, strategy)) {
+        throw new Error(`Неизвестный способ установки модов: ${strategy}. Допустимые значения: ${Object.keys(INSTALL_STRATEGIES).join(', ')}`);
+    }
+}
+
+/**
+ * Проверяет, существует ли путь, не переходя по ссылке (в отличие от fs.existsSync, битая ссылка тоже существует)
+ * @param {string} entryPath - Путь
+ * @returns {boolean}
+ */
+function pathExists(entryPath) {
+    return Boolean(fs.lstatSync(entryPath, { throwIfNoEntry: false }));
+}
+
+/**
+ * Возвращает цель символической ссылки (junction)
+ * @param {string} entryPath - Путь
+ * @returns {string|null} Абсолютный путь цели или null, если путь не является ссылкой
+ */
+function getLinkTarget(entryPath) {
+    const stats = fs.lstatSync(entryPath, { throwIfNoEntry: false });
+    if (!stats?.isSymbolicLink()) {
+        return null;
+    }
+    return path.resolve(path.dirname(entryPath), fs.readlinkSync(entryPath));
+}
+
+/**
+ * Проверяет, является ли путь ссылкой на несуществующую директорию
+ * @param {string} entryPath - Путь
+ * @returns {boolean}
+ */
+function isBrokenLink(entryPath) {
+    return getLinkTarget(entryPath) !== null && !fs.existsSync(entryPath);
+}
+
+/**
+ * Воссоздает структуру директорий, создавая для каждого файла жесткую ссылку
+ * @param {string} source - Исходная директория
+ * @param {string} target - Новая директория
+ */
+function hardlinkTree(source, target) {
+    fs.mkdirSync(target, { recursive: true });
+    for (const entry of fs.readdirSync(source, { withFileTypes: true })) {
+        const sourcePath = path.join(source, entry.name);
+        const targetPath = path.join(target, entry.name);
+        if (entry.isDirectory()) {
+            hardlinkTree(sourcePath, targetPath);
+        } else if (entry.isFile()) {
+            fs.linkSync(sourcePath, targetPath);
+        } else {
+            fs.cpSync(sourcePath, targetPath);
+        }
+    }
+}
+
+/**
+ * Размещает мод по новому пути выбранным способом. Если жесткие ссылки создать нельзя
+ * (директории на разных дисках или файловая система их не поддерживает), мод копируется
+ * @param {string} sourcePath - Директория мода в SteamCMD
+ * @param {string} targetPath - Новый путь (не должен существовать)
+ * @param {string} strategy - Способ установки (см. INSTALL_STRATEGIES)
+ * @returns {string|null} Предупреждение, если мод скопирован вместо создания жестких ссылок
+ */
+function placeModDirectory(sourcePath, targetPath, strategy) {
+    let warning = null;
+    switch (strategy) {
+        case 'symlink':
+            fs.symlinkSync(path.resolve(sourcePath), targetPath, process.platform === 'win32' ? 'junction' : 'dir');
+            return null;
+        case 'hardlink':
+            try {
+                hardlinkTree(sourcePath, targetPath);
+                return null;
+            } catch (error) {
+                if (!['EXDEV', 'EPERM', 'ENOTSUP'].includes(error.code)) {
+                    throw error;
+                }
+                warning = `Не удалось создать жесткие ссылки на ${sourcePath} (${error.code}), мод скопирован`;
+                fs.rmSync(targetPath, { recursive: true, force: true });
+            }
+            break;
+        default:
+            break;
+    }
+    fs.cpSync(sourcePath, targetPath, { recursive: true });
+    return warning;
+}
+
+module.exports = {
+    INSTALL_STRATEGIES,
+    validateInstallStrategy,
+    pathExists,
+    getLinkTarget,
+    isBrokenLink,
+    placeModDirectory
+};
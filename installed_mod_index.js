@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+const { readModAbout } = require('./mod_about_reader');
+const { isBrokenLink } = require('./install_strategy');
+
+/**
+ * Мод в индексе установленных модов
+ * @typedef {Object} IndexedMod
+ * @property {string} packageId - packageId из About.xml (в нижнем регистре)
+ * @property {string|null} name - Название из About.xml
+ * @property {string} folder - Имя папки мода
+ * @property {string} path - Путь к папке мода
+ * @property {'mods'|'steamcmd'} location - Где найден мод: директория модов или директория загрузки SteamCMD
+ * @property {string|null} steamId - Steam ID: имя папки из цифр или содержимое About/PublishedFileId.txt
+ */
+
+/**
+ * Приводит packageId к виду для сравнения: нижний регистр, без суффикса _steam,
+ * который RimWorld добавляет к моду из Steam Workshop при совпадении с локальным модом
+ * @param {string|null} packageId - packageId
+ * @returns {string}
+ */
+function normalizePackageId(packageId) {
+    return (packageId || '').toLowerCase().replace(/_steam$/, '');
+}
+
+/**
+ * Определяет Steam ID мода по имени папки или файлу About/PublishedFileId.txt
+ * @param {string} folder - Имя папки мода
+ * @param {string} modPath - Путь к папке мода
+ * @returns {string|null}
+ */
+function readModSteamId(folder, modPath) {
+    if (/^\d+$/.test(folder)) {
+        return folder;
+    }
+    const idPath = path.join(modPath, 'About', 'PublishedFileId.txt');
+    if (!fs.existsSync(idPath)) {
+        return null;
+    }
+    const steamId = fs.readFileSync(idPath, 'utf8').trim();
+    return /^\d+$/.test(steamId) ? steamId : null;
+}
+
+/**
+ * Индекс установленных модов по packageId из About.xml. Позволяет найти мод, лежащий в папке
+ * с другим именем (локальный мод, мод с GitHub), и мод, уже загруженный в директорию SteamCMD
+ */
+class InstalledModIndex {
+    /**
+     * @param {Array<{location: 'mods'|'steamcmd', directory: string}>} locations - Директории с модами в порядке приоритета
+     * @param {{warn: Function}} [logger] - Вывод предупреждений о нечитаемых About.xml
+     */
+    constructor(locations, logger = console) {
+        this.locations = locations;
+        this.logger = logger;
+        /** @type {Map<string, IndexedMod>} */
+        this.mods = new Map();
+    }
+
+    /**
+     * Читает About.xml всех модов в директориях. Если packageId встречается несколько раз,
+     * в индексе остается мод из директории с большим приоритетом
+     * @returns {Promise<InstalledModIndex>}
+     */
+    async build() {
+        this.mods.clear();
+        for (const { location, directory } of this.locations) {
+            if (!fs.existsSync(directory)) {
+                continue;
+            }
+
+            for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+                // Пропускаем служебную директорию SteamCMD, временные директории установки и битые ссылки
+                if (!(entry.isDirectory() || entry.isSymbolicLink()) || entry.name === 'steamapps' || entry.name.startsWith('.')) {
+                    continue;
+                }
+                const modPath = path.join(directory, entry.name);
+                if (isBrokenLink(modPath) || !fs.statSync(modPath).isDirectory()) {
+                    continue;
+                }
+
+                let about;
+                try {
+                    about = await readModAbout(modPath);
+                } catch (error) {
+                    this.logger.warn(`Мод ${modPath} пропущен в индексе установленных модов: ${error.message}`);
+                    continue;
+                }
+                const packageId = normalizePackageId(about?.packageId);
+                if (!packageId || this.mods.has(packageId)) {
+                    continue;
+                }
+                this.mods.set(packageId, {
+                    packageId,
+                    name: about.name,
+                    folder: entry.name,
+                    path: modPath,
+                    location,
+                    steamId: readModSteamId(entry.name, modPath)
+                });
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Ищет мод по packageId
+     * @param {string|null} packageId - packageId мода из сохранения или списка модов
+     * @returns {IndexedMod|null}
+     */
+    find(packageId) {
+        return this.mods.get(normalizePackageId(packageId)) || null;
+    }
+
+    /**
+     * Количество модов в индексе
+     * @returns {number}
+     */
+    get size() {
+        return this.mods.size;
+    }
+}
+
+module.exports = {
+    InstalledModIndex,
+    normalizePackageId
+};
@@ -0,0 +1,193 @@
+/**
+ * Правило порядка загрузки: мод before должен загружаться раньше мода after
+ * @typedef {Object} LoadOrderRule
+ * @property {string} before - packageId мода, загружаемого раньше
+ * @property {string} after - packageId мода, загружаемого позже
+ * @property {boolean} forced - Правило из forceLoadBefore/forceLoadAfter
+ * @property {string} source - packageId мода, в About.xml которого объявлено правило
+ */
+
+// packageId ядра игры; официальные дополнения имеют packageId вида ludeon.rimworld.<название>
+const CORE_PACKAGE_ID = 'ludeon.rimworld';
+
+class LoadOrderChecker {
+    /**
+     * @param {Array<string>} loadOrder - packageId модов в порядке загрузки
+     * @param {Map<string, Object>} metadata - Данные About.xml установленных модов по packageId
+     */
+    constructor(loadOrder, metadata) {
+        this.loadOrder = loadOrder.map(packageId => packageId.toLowerCase());
+        this.metadata = metadata;
+        this.positions = new Map(this.loadOrder.map((packageId, index) => [packageId, index]));
+        this.rules = this.collectRules();
+    }
+
+    /**
+     * Собирает правила порядка загрузки для модов из списка
+     * @returns {Array<LoadOrderRule>}
+     */
+    collectRules() {
+        const rules = [];
+        const addRule = (before, after, forced, source) => {
+            if (before !== after && this.positions.has(before) && this.positions.has(after)) {
+                rules.push({ before, after, forced, source });
+            }
+        };
+
+        for (const packageId of this.loadOrder) {
+            // Ядро игры всегда загружается раньше официальных дополнений
+            if (packageId.startsWith(`${CORE_PACKAGE_ID}.`)) {
+                addRule(CORE_PACKAGE_ID, packageId, true, packageId);
+            }
+
+            const about = this.metadata.get(packageId);
+            if (!about) {
+                continue;
+            }
+            about.loadBefore.forEach(other => addRule(packageId, other, false, packageId));
+            about.loadAfter.forEach(other => addRule(other, packageId, false, packageId));
+            about.forceLoadBefore.forEach(other => addRule(packageId, other, true, packageId));
+            about.forceLoadAfter.forEach(other => addRule(other, packageId, true, packageId));
+        }
+
+        return rules;
+    }
+
+    /**
+     * Возвращает отображаемое название мода
+     * @param {string} packageId - packageId мода
+     * @returns {string}
+     */
+    getModName(packageId) {
+        return this.metadata.get(packageId)?.name || packageId;
+    }
+
+    /**
+     * Находит циклы в правилах порядка загрузки (алгоритм Тарьяна)
+     * @param {Array<LoadOrderRule>} rules - Правила порядка загрузки
+     * @returns {Array<Array<string>>} Группы модов, образующих цикл, в порядке загрузки
+     */
+    findCycles(rules) {
+        const edges = new Map(this.loadOrder.map(packageId => [packageId, []]));
+        rules.forEach(rule => edges.get(rule.before).push(rule.after));
+
+        const indexes = new Map();
+        const lowLinks = new Map();
+        const stack = [];
+        const onStack = new Set();
+        const cycles = [];
+        let nextIndex = 0;
+
+        const visit = (packageId) => {
+            indexes.set(packageId, nextIndex);
+            lowLinks.set(packageId, nextIndex);
+            nextIndex++;
+            stack.push(packageId);
+            onStack.add(packageId);
+
+            for (const next of edges.get(packageId)) {
+                if (!indexes.has(next)) {
+                    visit(next);
+                    lowLinks.set(packageId, Math.min(lowLinks.get(packageId), lowLinks.get(next)));
+                } else if (onStack.has(next)) {
+                    lowLinks.set(packageId, Math.min(lowLinks.get(packageId), indexes.get(next)));
+                }
+            }
+
+            if (lowLinks.get(packageId) === indexes.get(packageId)) {
+                const component = [];
+                let member;
+                do {
+                    member = stack.pop();
+                    onStack.delete(member);
+                    component.push(member);
+                } while (member !== packageId);
+
+                if (component.length > 1) {
+                    cycles.push(component.sort((a, b) => this.positions.get(a) - this.positions.get(b)));
+                }
+            }
+        };
+
+        this.loadOrder.forEach(packageId => {
+            if (!indexes.has(packageId)) {
+                visit(packageId);
+            }
+        });
+
+        return cycles;
+    }
+
+    /**
+     * Проверяет порядок загрузки
+     * @returns {{violations: Array<LoadOrderRule>, incompatibilities: Array<{packageId: string, incompatibleWith: string}>,
+     *     cycles: Array<Array<string>>, withoutMetadata: Array<string>}}
+     */
+    check() {
+        const violations = this.rules.filter(rule =>
+            this.positions.get(rule.before) > this.positions.get(rule.after));
+
+        const incompatibilities = [];
+        for (const packageId of this.loadOrder) {
+            for (const other of this.metadata.get(packageId)?.incompatibleWith || []) {
+                if (this.positions.has(other)) {
+                    incompatibilities.push({ packageId, incompatibleWith: other });
+                }
+            }
+        }
+
+        // Официальные моды не лежат в директории модов, поэтому их отсутствие не считается проблемой
+        const withoutMetadata = this.loadOrder.filter(packageId =>
+            !this.metadata.has(packageId) && packageId !== CORE_PACKAGE_ID && !packageId.startsWith(`${CORE_PACKAGE_ID}.`));
+
+        return { violations, incompatibilities, cycles: this.findCycles(this.rules), withoutMetadata };
+    }
+
+    /**
+     * Убирает правила, образующие циклы: сначала нестрогие правила внутри цикла,
+     * а если цикл образован только строгими правилами - все правила внутри него
+     * @returns {Array<LoadOrderRule>} Правила без циклов
+     */
+    breakCycles() {
+        let rules = this.rules;
+
+        for (const keepForced of [true, false]) {
+            const cycleGroups = new Map();
+            this.findCycles(rules).forEach((cycle, group) => cycle.forEach(packageId => cycleGroups.set(packageId, group)));
+
+            rules = rules.filter(rule => {
+                const insideCycle = cycleGroups.has(rule.before) && cycleGroups.get(rule.before) === cycleGroups.get(rule.after);
+                return !insideCycle || (keepForced && rule.forced);
+            });
+        }
+
+        return rules;
+    }
+
+    /**
+     * Строит порядок загрузки, удовлетворяющий правилам и максимально близкий к исходному.
+     * На каждом шаге выбирается мод с наименьшей исходной позицией, все предшественники которого уже размещены
+     * @returns {Array<string>} packageId модов в рекомендуемом порядке
+     */
+    sort() {
+        const placed = new Set();
+        const order = [];
+
+        // Правила, которые должны быть выполнены перед размещением каждого мода
+        const rulesByMod = new Map(this.loadOrder.map(packageId => [packageId, []]));
+        this.breakCycles().forEach(rule => rulesByMod.get(rule.after).push(rule));
+
+        const isReady = packageId => rulesByMod.get(packageId).every(rule => placed.has(rule.before));
+
+        while (order.length < this.loadOrder.length) {
+            // Оставшиеся моды уже упорядочены по исходной позиции
+            const next = this.loadOrder.find(packageId => !placed.has(packageId) && isReady(packageId));
+            placed.add(next);
+            order.push(next);
+        }
+
+        return order;
+    }
+}
+
+module.exports = LoadOrderChecker;
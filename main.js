@@ -1,58 +1,706 @@
+const fs = require('fs');
+const path = require('path');
 const RimworldSaveReader = require('./rimworld_save_reader');
 const SteamCmdManager = require('./steam_cmd_manager');
+const ModsConfigManager = require('./mods_config_manager');
+const LoadOrderChecker = require('./load_order_checker');
+const DashboardServer = require('./web_server');
 const config = require('./config');
+const { parseCommandLine, formatUsage, EXIT_CODES } = require('./cli');
+const { loadConfig, validatePaths } = require('./config_loader');
+const { readModList, writeModList, getModListFormat, parseCollectionReference, mergeModLists } = require('./mod_list_formats');
+const { diffModLists } = require('./mod_list_diff');
+const { getReportFormat, writeRunReport } = require('./run_report');
+const { VerifyStatus, VERIFY_STATUS_LABELS } = require('./mod_verifier');
+const { validateInstallStrategy } = require('./install_strategy');
+const { validateModSources, getModSourcePaths } = require('./mod_sources');
+const errorLogger = require('./error_logger');
+
+/**
+ * Возвращает путь к сохранению по его имени в папке сохранений, если файла с таким путем нет
+ * @param {string} source - Путь к сохранению или списку модов либо имя сохранения
+ * @returns {string}
+ */
+function resolveSource(source) {
+    if (fs.existsSync(source)) {
+        return source;
+    }
+    const savePath = path.join(config.savesDirectory, path.extname(source).toLowerCase() === '.rws' ? source : `${source}.rws`);
+    return fs.existsSync(savePath) ? savePath : source;
+}
+
+/**
+ * Читает список модов из сохранения или файла списка модов (формат определяется автоматически)
+ * @param {string} [source] - Путь к сохранению или списку модов либо имя сохранения из папки сохранений
+ *                            (по умолчанию сохранение из config.js)
+ * @returns {Promise<ModListData>} Полный список модов, включая ядро игры и DLC
+ */
+async function loadModList(source = config.saveFilePath) {
+    const resolvedSource = resolveSource(source);
+    console.log(`Чтение списка модов ${resolvedSource}...`);
+    try {
+        return await readModList(resolvedSource);
+    } catch (error) {
+        error.exitCode = EXIT_CODES.BAD_SAVE;
+        throw error;
+    }
+}
+
+/**
+ * Читает списки модов для загрузки и версию игры. Моды нескольких списков объединяются без повторов
+ * @param {Array<string>} sources - Пути к сохранениям или спискам модов либо имена сохранений (моды объединяются)
+ * @returns {Promise<{mods: Array<[string, string, string]>, gameVersion: string|null}>}
+ */
+async function readMods(sources) {
+    const modLists = [];
+    for (const source of sources.length > 0 ? sources : [config.saveFilePath]) {
+        modLists.push(await loadModList(source));
+    }
+
+    const gameVersions = [...new Set(modLists.map(modList => modList.gameVersion).filter(Boolean))];
+    if (gameVersions.length > 1) {
+        console.warn(`Внимание: списки модов относятся к разным версиям игры (${gameVersions.join(', ')}), для проверки совместимости используется ${gameVersions[0]}`);
+    }
+
+    const modList = mergeModLists(modLists);
+    const { mods, skippedMods } = new RimworldSaveReader().splitModList(modList);
+    skippedMods.forEach(([, steamId, modName]) => console.log(`Пропускаем ${modName} (${steamId}) - это официальный DLC или ядро игры`));
+    console.log(`Найдено модов: ${mods.length}, версия игры: ${modList.gameVersion || 'не указана'}`);
+
+    return { mods, gameVersion: modList.gameVersion };
+}
+
+/**
+ * Запрашивает в консоли подтверждение загрузки модов
+ * @returns {Promise<boolean>}
+ */
+async function askConfirmation() {
+    console.log('\nХотите загрузить отсутствующие моды? (y/n)');
+    const readline = require('readline').createInterface({
+        input: process.stdin,
+        output: process.stdout
+    });
+
+    const answer = await new Promise(resolve => {
+        readline.question('', resolve);
+    });
+    readline.close();
+    return answer.toLowerCase() === 'y';
+}
+
+/**
+ * Создает менеджер SteamCMD и проверяет установку SteamCMD, если он входит в источники модов
+ * @returns {Promise<SteamCmdManager>}
+ */
+async function createSteamManager() {
+    const steamManager = new SteamCmdManager();
+    if (!config.modSources.includes('steamcmd')) {
+        return steamManager;
+    }
+
+    console.log('Проверка установки SteamCMD...');
+    const isInstalled = await steamManager.isSteamCmdInstalled();
+    if (!isInstalled) {
+        const error = new Error(`SteamCMD не установлен! Пожалуйста, установите SteamCMD или укажите путь через --steamcmd (сейчас: ${config.steamCmdPath}).`);
+        error.exitCode = EXIT_CODES.STEAMCMD_MISSING;
+        throw error;
+    }
+
+    return steamManager;
+}
+
+/**
+ * Выводит результат команды в формате JSON (параметр --json)
+ * @param {Object} data - Результат команды
+ */
+function printJson(data) {
+    process.stdout.write(`${JSON.stringify(data, null, 2)}\n`);
+}
+
+/**
+ * Преобразует мод в объект для вывода в формате JSON
+ * @param {[string, string, string, Array<string>?]} mod - Мод в формате [modId, steamId, modName, supportedVersions]
+ * @returns {{modId: string, steamId: string, modName: string, supportedVersions?: Array<string>}}
+ */
+function modToJson([modId, steamId, modName, supportedVersions]) {
+    return { modId, steamId, modName, ...(supportedVersions && { supportedVersions }) };
+}
+
+/**
+ * Преобразует дерево зависимостей в плоский список для вывода в формате JSON.
+ * Зависимости указываются по packageId, так как в дереве возможны циклы
+ * @param {Array<DependencyNode>} tree - Корневые узлы дерева
+ * @returns {Array<{packageId: string, name: string, steamId: string|null, status: string, dependencies: Array<string>}>}
+ */
+function flattenDependencyTree(tree) {
+    const nodes = new Map();
+    const visit = (node) => {
+        if (nodes.has(node.packageId)) {
+            return;
+        }
+        nodes.set(node.packageId, { ...node, dependencies: node.dependencies.map(child => child.packageId) });
+        node.dependencies.forEach(visit);
+    };
+    tree.forEach(visit);
+    return [...nodes.values()];
+}
+
+/**
+ * Определяет код завершения по результату загрузки модов (SteamCmdManager.downloadMods)
+ * @param {Object} result - Результат загрузки
+ * @returns {number} Один из EXIT_CODES
+ */
+function getDownloadExitCode(result) {
+    if (result.cancelled) {
+        return EXIT_CODES.ERROR;
+    }
+    if (!result.success) {
+        return EXIT_CODES.MODS_FAILED;
+    }
+    return result.notFoundMods?.length > 0 ? EXIT_CODES.MODS_UNRESOLVED : EXIT_CODES.OK;
+}
+
+/**
+ * Анализирует моды сохранения без загрузки
+ * @param {Array<string>} sources - Пути к сохранениям или спискам модов либо имена сохранений (моды объединяются)
+ * @param {Object} flags - Флаги командной строки (report - путь к файлу отчета о запуске, json - вывод в формате JSON)
+ */
+async function analyzeCommand(sources, flags) {
+    const { mods, gameVersion } = await readMods(sources);
+    const steamManager = new SteamCmdManager();
+
+    const { missingMods, notFoundMods, incompatibleMods } = await steamManager.analyzeMods(mods, gameVersion);
+    steamManager.printAnalysisReport(mods.length, missingMods, notFoundMods, incompatibleMods);
+    await saveRunReport(steamManager, 'analyze', flags);
+
+    const exitCode = notFoundMods.length > 0 ? EXIT_CODES.MODS_UNRESOLVED : EXIT_CODES.OK;
+    if (flags.json) {
+        printJson({
+            exitCode,
+            runId: errorLogger.runId,
+            gameVersion,
+            missingMods: missingMods.map(modToJson),
+            notFoundMods: notFoundMods.map(modToJson),
+            incompatibleMods: incompatibleMods.map(modToJson)
+        });
+    }
+    if (exitCode !== EXIT_CODES.OK) {
+        process.exit(exitCode);
+    }
+}
+
+/**
+ * Анализирует и загружает моды сохранения
+ * @param {Array<string>} sources - Пути к сохранениям или спискам модов либо имена сохранений (моды объединяются)
+ * @param {Object} flags - Флаги командной строки (report - путь к файлу отчета о запуске, yes - без подтверждения,
+ *                         dry-run - только показать моды для загрузки, json - вывод в формате JSON)
+ */
+async function installCommand(sources, flags) {
+    const { mods, gameVersion } = await readMods(sources);
+    const steamManager = await createSteamManager();
+
+    // Загружаем моды
+    console.log('Загрузка модов...');
+    const result = await steamManager.downloadMods(mods, gameVersion, {
+        assumeYes: flags.yes,
+        dryRun: flags['dry-run'],
+        confirm: askConfirmation
+    });
+    const exitCode = getDownloadExitCode(result);
+
+    // Выводим результаты
+    console.log('\nРезультаты загрузки:');
+    console.log('===================');
+
+    // Автоматически загруженные зависимости считаются отдельно от модов списка
+    const listResults = result.results.filter(r => !r.dependency);
+    const dependencyResults = result.results.filter(r => r.dependency);
+    const failedMods = result.results.filter(r => !r.success);
+
+    console.log(`\nУспешно загружено: ${listResults.filter(r => r.success).length} из ${listResults.length} модов`);
+    if (dependencyResults.length > 0) {
+        console.log(`Зависимости: ${dependencyResults.filter(r => r.success).length} из ${dependencyResults.length}`);
+    }
+
+    if (failedMods.length > 0) {
+        console.log('\nНе удалось загрузить следующие моды:');
+        failedMods.forEach(mod => {
+            const category = mod.category ? ` [${mod.category}]` : '';
+            console.log(`- Мод ${mod.name || mod.id}${category}: ${mod.error}`);
+        });
+    }
+
+    if (result.incompatibleMods?.length > 0) {
+        console.log(`\nВозможно несовместимы с версией игры ${gameVersion}:`);
+        result.incompatibleMods.forEach(([, steamId, modName, supportedVersions]) => {
+            console.log(`- ${modName} (${steamId}): поддерживает ${supportedVersions.join(', ') || 'версии не указаны'}`);
+        });
+    }
+
+    printRollbackHint(steamManager);
+    await saveRunReport(steamManager, 'install', flags);
+
+    if (result.dryRun) {
+        console.log('\nПробный запуск завершен, моды не загружались.');
+    } else if (exitCode === EXIT_CODES.OK) {
+        console.log('\nВсе моды успешно загружены!');
+    } else if (exitCode === EXIT_CODES.MODS_UNRESOLVED) {
+        console.log(`\nНайденные моды загружены, но для ${result.notFoundMods.length} модов не найден Steam ID.`);
+    } else {
+        console.log('\nЗагрузка завершена с ошибками.');
+    }
+
+    if (flags.json) {
+        printJson({
+            ...result,
+            exitCode,
+            runId: errorLogger.runId,
+            gameVersion,
+            missingMods: result.missingMods?.map(modToJson),
+            notFoundMods: result.notFoundMods?.map(modToJson),
+            incompatibleMods: result.incompatibleMods?.map(modToJson),
+            dependencyTree: result.dependencyTree && flattenDependencyTree(result.dependencyTree)
+        });
+    }
+    if (exitCode !== EXIT_CODES.OK) {
+        process.exit(exitCode);
+    }
+}
+
+/**
+ * Обновляет установленные моды, изменившиеся в Steam Workshop
+ * @param {Array<string>} sources - Пути к сохранениям или спискам модов (по умолчанию все моды из директории модов)
+ * @param {Object} flags - Флаги командной строки (report - путь к файлу отчета о запуске,
+ *                         dry-run - только показать устаревшие моды, json - вывод в формате JSON)
+ */
+async function updateCommand(sources, flags) {
+    const steamManager = await createSteamManager();
+
+    let mods;
+    if (sources.length > 0) {
+        mods = (await readMods(sources)).mods
+            .filter(([modId, steamId]) => steamId !== '0' && steamManager.isModInstalled(modId, steamId));
+    } else {
+        mods = steamManager.listInstalledMods()
+            .filter(mod => mod.location === 'mods' && !mod.broken && /^\d+$/.test(mod.folder))
+            .map(mod => [mod.folder, mod.folder, mod.folder]);
+    }
+
+    if (mods.length === 0) {
+        console.log('Нет установленных модов из Steam Workshop для проверки обновлений');
+    }
+
+    const { success, changes, stale, upToDate, unavailable } = mods.length > 0 ?
+        await steamManager.updateMods(mods, { dryRun: flags['dry-run'] }) :
+        { success: true, changes: [], stale: [], upToDate: [], unavailable: [] };
+
+    if (flags['dry-run']) {
+        console.log(`\nПробный запуск. Актуальны: ${upToDate.length}, будут обновлены: ${stale.length}, недоступны в Steam Workshop: ${unavailable.length}`);
+        stale.forEach(({ mod, title }) => console.log(`- ${title} (${mod[1]})`));
+    } else {
+        console.log(`\nАктуальны: ${upToDate.length}, обновлено: ${changes.filter(change => change.result.success).length}, недоступны в Steam Workshop: ${unavailable.length}`);
+        if (changes.length > 0) {
+            steamManager.printUpdateSummary(changes);
+        }
+        printRollbackHint(steamManager);
+    }
+    await saveRunReport(steamManager, 'update', flags);
+
+    const exitCode = success ? EXIT_CODES.OK : EXIT_CODES.MODS_FAILED;
+    if (!success) {
+        console.log('\nОбновление завершено с ошибками.');
+    }
+
+    if (flags.json) {
+        printJson({
+            success,
+            exitCode,
+            runId: errorLogger.runId,
+            dryRun: flags['dry-run'],
+            stale: stale.map(({ mod, ...update }) => ({ ...modToJson(mod), ...update })),
+            changes: changes.map(({ mod, ...change }) => ({ ...modToJson(mod), ...change })),
+            upToDate: upToDate.map(modToJson),
+            unavailable: unavailable.map(modToJson)
+        });
+    }
+    if (exitCode !== EXIT_CODES.OK) {
+        process.exit(exitCode);
+    }
+}
+
+/**
+ * Откатывает установку модов или выводит список запусков, которые можно откатить
+ * @param {Array<string>} args - Аргументы команды: [ID запуска или Steam ID мода]
+ */
+async function rollbackCommand([target]) {
+    const steamManager = new SteamCmdManager();
+
+    if (!target) {
+        const runs = steamManager.snapshots.listRuns();
+        console.log(`Запуски, которые можно откатить (${config.modsDirectory}): ${runs.length}`);
+        runs.forEach(run => console.log(`- ${run.runId} (${run.createdAt}): модов ${run.mods.length}`));
+        return;
+    }
+
+    const restored = await steamManager.rollback(target);
+    console.log(`\nВосстановлено модов: ${restored.length}`);
+    restored.forEach(({ runId, snapshot }) => {
+        const action = snapshot.hadPrevious ? 'восстановлена предыдущая версия' : 'удален (не был установлен)';
+        console.log(`- ${snapshot.steamId}: ${action}, запуск ${runId}`);
+    });
+}
+
+/**
+ * Выводит ID запуска, по которому можно откатить установленные моды
+ * @param {SteamCmdManager} steamManager - Менеджер SteamCMD
+ */
+function printRollbackHint(steamManager) {
+    if (steamManager.snapshots.runId) {
+        console.log(`\nОтменить изменения этого запуска: node main.js rollback ${steamManager.snapshots.runId}`);
+    }
+}
+
+/**
+ * Записывает отчет о запуске, если указан параметр --report
+ * @param {SteamCmdManager} steamManager - Менеджер SteamCMD
+ * @param {string} command - Имя команды
+ * @param {Object} flags - Флаги командной строки (report - путь к файлу отчета)
+ */
+async function saveRunReport(steamManager, command, flags) {
+    if (!flags.report) {
+        return;
+    }
+    steamManager.report.command = command;
+    await writeRunReport(flags.report, steamManager.report.finish());
+    console.log(`\nОтчет о запуске сохранен: ${flags.report}`);
+}
+
+/**
+ * Выводит список установленных модов
+ */
+async function listInstalledCommand() {
+    const steamManager = new SteamCmdManager();
+    const installed = steamManager.listInstalledMods();
+
+    const locations = [
+        { location: 'mods', title: `Директория модов (${config.modsDirectory})` },
+        { location: 'steamcmd', title: `Директория SteamCMD (${steamManager.workshopDir})` }
+    ];
+    for (const { location, title } of locations) {
+        const mods = installed.filter(mod => mod.location === location);
+        console.log(`\n${title}: ${mods.length}`);
+        mods.forEach(mod => console.log(`- ${mod.folder}${mod.linkTarget ? ` -> ${mod.linkTarget}${mod.broken ? ' (битая ссылка)' : ''}` : ''}`));
+    }
+}
+
+/**
+ * Проверяет, что моды сохранения установлены и пригодны к использованию: About.xml читается,
+ * packageId совпадает с ID мода из сохранения, размер соответствует манифесту SteamCMD.
+ * Моды, не прошедшие проверку, помечаются для повторной загрузки командой install
+ * @param {Array<string>} sources - Пути к сохранениям или спискам модов либо имена сохранений (моды объединяются)
+ */
+async function verifyCommand(sources) {
+    const { mods } = await readMods(sources);
+    const steamManager = new SteamCmdManager();
+
+    const { checked, unresolved } = await steamManager.verifyMods(mods);
+    const notInstalled = checked.filter(({ status }) => status === VerifyStatus.NOT_INSTALLED);
+    const failed = checked.filter(({ status }) => status !== VerifyStatus.OK && status !== VerifyStatus.NOT_INSTALLED);
+
+    console.log(`\nУстановлено и прошло проверку: ${checked.length - notInstalled.length - failed.length} из ${mods.length} модов`);
+
+    if (unresolved.length > 0) {
+        console.log('\nНе проверены (в сохранении нет Steam ID, его нет в файле сопоставлений и кэше поиска):');
+        unresolved.forEach(([modId, , modName]) => console.log(`- ${modName} (${modId})`));
+    }
+
+    if (notInstalled.length > 0) {
+        console.log('\nНе установлены:');
+        notInstalled.forEach(({ mod: [, steamId, modName], message }) => console.log(`- ${modName} (${steamId}): ${message}`));
+    }
+
+    if (failed.length > 0) {
+        console.log('\nНе прошли проверку (будут загружены заново командой install):');
+        failed.forEach(({ mod: [, steamId, modName], status, message }) =>
+            console.log(`- ${modName} (${steamId}): ${VERIFY_STATUS_LABELS[status]}. ${message}`));
+    }
+
+    if (notInstalled.length > 0 || failed.length > 0) {
+        process.exit(EXIT_CODES.MODS_FAILED);
+    }
+}
+
+/**
+ * Удаляет моды, не используемые ни одним из сохранений или списков модов, и служебные директории загрузки.
+ * Без флага --apply выводится только предварительный просмотр
+ * @param {Array<string>} sources - Пути к сохранениям или спискам модов либо имена сохранений (моды объединяются)
+ * @param {Object} flags - Флаги командной строки (apply - удалить файлы)
+ */
+async function pruneCommand(sources, flags) {
+    const references = { steamIds: new Set(), packageIds: new Set() };
+    for (const source of sources.length > 0 ? sources : [config.saveFilePath]) {
+        const { modIds, modSteamIds } = await loadModList(source);
+        modSteamIds.filter(steamId => steamId !== '0').forEach(steamId => references.steamIds.add(steamId));
+        modIds.forEach(modId => references.packageIds.add(modId.toLowerCase()));
+    }
+
+    const steamManager = new SteamCmdManager();
+    const items = await steamManager.planPrune(references);
+    steamManager.printPrunePlan(items);
+
+    if (!flags.apply) {
+        console.log('\nЭто предварительный просмотр, файлы не удалялись. Для удаления запустите команду с флагом --apply.');
+        return;
+    }
+
+    const result = await steamManager.applyPrune(items);
+    steamManager.printPruneResult(result);
+    if (result.failed.length > 0) {
+        process.exit(1);
+    }
+}
+
+/**
+ * Записывает порядок загрузки модов сохранения в ModsConfig.xml
+ * @param {Array<string>} args - Аргументы команды: [путь к сохранению или списку модов]
+ */
+async function modsConfigCommand([source]) {
+    // Порядок загрузки берем полностью, включая ядро игры и DLC
+    const { gameVersion, modIds: loadOrder } = await loadModList(source);
+
+    if (loadOrder.length === 0) {
+        throw new Error('В сохранении не найден список модов');
+    }
+
+    const modsConfigManager = new ModsConfigManager();
+    const { modsConfigPath, backupPath } = await modsConfigManager.writeActiveMods(loadOrder, gameVersion);
+
+    if (backupPath) {
+        console.log(`Резервная копия сохранена: ${backupPath}`);
+    }
+    console.log(`Записано активных модов: ${loadOrder.length} в ${modsConfigPath}`);
+}
+
+/**
+ * Проверяет порядок загрузки модов сохранения по правилам из About.xml и предлагает исправленный порядок
+ * @param {Array<string>} args - Аргументы команды: [путь к сохранению или списку модов]
+ * @param {Object} flags - Флаги командной строки (write - записать рекомендуемый порядок в ModsConfig.xml)
+ */
+async function loadOrderCommand([source], flags) {
+    const { gameVersion, modIds: loadOrder } = await loadModList(source);
+
+    const steamManager = new SteamCmdManager();
+    const metadata = await steamManager.readInstalledModsMetadata(gameVersion);
+    const checker = new LoadOrderChecker(loadOrder, metadata);
+    const { violations, incompatibilities, cycles, withoutMetadata } = checker.check();
+    const name = packageId => checker.getModName(packageId);
+
+    console.log(`\nМодов в порядке загрузки: ${loadOrder.length}`);
+
+    if (withoutMetadata.length > 0) {
+        console.log(`\nНе установлены или без About.xml (правила не проверены): ${withoutMetadata.length}`);
+        withoutMetadata.forEach(packageId => console.log(`- ${packageId}`));
+    }
+
+    if (violations.length > 0) {
+        console.log(`\nНарушения порядка загрузки: ${violations.length}`);
+        violations.forEach(rule => {
+            const ruleType = rule.forced ? 'обязательно' : 'рекомендуется';
+            console.log(`- ${name(rule.before)} должен загружаться раньше ${name(rule.after)} (${ruleType}, правило из ${name(rule.source)})`);
+        });
+    }
+
+    if (incompatibilities.length > 0) {
+        console.log(`\nНесовместимые моды: ${incompatibilities.length}`);
+        incompatibilities.forEach(({ packageId, incompatibleWith }) =>
+            console.log(`- ${name(packageId)} несовместим с ${name(incompatibleWith)}`));
+    }
+
+    if (cycles.length > 0) {
+        console.log(`\nЦиклы в правилах порядка загрузки: ${cycles.length}`);
+        cycles.forEach(cycle => console.log(`- ${cycle.map(name).join(' → ')}`));
+    }
+
+    if (violations.length === 0 && incompatibilities.length === 0 && cycles.length === 0) {
+        console.log('\nПорядок загрузки корректен.');
+        return;
+    }
+
+    const sortedOrder = checker.sort();
+    if (violations.length > 0) {
+        console.log('\nРекомендуемый порядок загрузки (* - мод перемещен):');
+        sortedOrder.forEach((packageId, index) => {
+            const moved = checker.positions.get(packageId) !== index ? '*' : ' ';
+            console.log(`${moved} ${String(index + 1).padStart(3)}. ${name(packageId)}`);
+        });
+    }
+
+    if (flags.write) {
+        const modsConfigManager = new ModsConfigManager();
+        const { modsConfigPath, backupPath } = await modsConfigManager.writeActiveMods(sortedOrder, gameVersion);
+        if (backupPath) {
+            console.log(`\nРезервная копия сохранена: ${backupPath}`);
+        }
+        console.log(`Рекомендуемый порядок записан в ${modsConfigPath}`);
+        return;
+    }
+
+    process.exit(1);
+}
+
+/**
+ * Выводит сохранения из папки сохранений с количеством модов и версией игры
+ */
+async function savesCommand() {
+    const saves = await RimworldSaveReader.listSaves();
+    console.log(`Сохранения в ${config.savesDirectory}: ${saves.length}\n`);
+
+    for (const save of saves) {
+        const modified = save.modified.toISOString().slice(0, 16).replace('T', ' ');
+        const details = save.error ?
+            `ошибка: ${save.error}` :
+            `модов: ${save.modCount}, версия игры: ${save.gameVersion || 'не указана'}`;
+        console.log(`- ${save.name.padEnd(30)} ${modified}  ${details}`);
+    }
+}
+
+/**
+ * Запускает веб-панель: выбор или загрузка сохранения, анализ и загрузка модов с отображением хода загрузки
+ */
+async function serveCommand() {
+    const { host, port } = config.dashboard;
+    const server = new DashboardServer();
+    await server.listen(port, host);
+    console.log(`Веб-панель запущена: http://${host === '0.0.0.0' ? 'localhost' : host}:${port}`);
+    console.log(`Токен для запросов POST к API (заголовок X-Dashboard-Token): ${server.token}`);
+    console.log('Для остановки нажмите Ctrl+C');
+}
+
+/**
+ * Сравнивает списки модов двух сохранений: добавленные, удаленные и перемещенные моды
+ * @param {Array<string>} args - Аргументы команды: [первое сохранение или список, второе сохранение или список]
+ */
+async function diffCommand([first, second]) {
+    if (!first || !second) {
+        throw new Error('Укажите два сохранения или списка модов: diff <saveA> <saveB>');
+    }
+
+    const from = await loadModList(first);
+    const to = await loadModList(second);
+    const { added, removed, moved, gameVersion } = diffModLists(from, to);
+    const describe = mod => `${mod.modName} (${mod.modId}${mod.steamId !== '0' ? `, ${mod.steamId}` : ''})`;
+
+    if (gameVersion.from !== gameVersion.to) {
+        console.log(`\nВерсия игры: ${gameVersion.from || 'не указана'} -> ${gameVersion.to || 'не указана'}`);
+    }
+
+    console.log(`\nДобавлены: ${added.length}`);
+    added.forEach(mod => console.log(`+ ${describe(mod)}, позиция ${mod.toIndex + 1}`));
+
+    console.log(`\nУдалены: ${removed.length}`);
+    removed.forEach(mod => console.log(`- ${describe(mod)}, позиция ${mod.fromIndex + 1}`));
+
+    console.log(`\nПеремещены: ${moved.length}`);
+    moved.forEach(mod => console.log(`~ ${describe(mod)}, позиция ${mod.fromIndex + 1} -> ${mod.toIndex + 1}`));
+
+    if (added.length === 0 && removed.length === 0 && moved.length === 0) {
+        console.log('\nСписки модов совпадают');
+    }
+}
+
+/**
+ * Экспортирует список модов в файл другого формата
+ * @param {Array<string>} args - Аргументы команды: [путь к сохранению или списку модов]
+ * @param {Object} flags - Флаги командной строки (format - формат результата, output - путь к файлу)
+ */
+async function exportCommand([saveOrList = config.saveFilePath], flags) {
+    const source = resolveSource(saveOrList);
+    const formatName = flags.format || 'rml';
+    const format = getModListFormat(formatName);
+    if (!format.write) {
+        throw new Error(`Формат ${formatName} не поддерживает запись`);
+    }
+    // Для коллекции Steam Workshop файл результата создается в текущей директории
+    const collectionId = !fs.existsSync(source) && parseCollectionReference(source);
+    const outputPath = flags.output || (collectionId ?
+        `collection_${collectionId}${format.extensions[0]}` :
+        path.join(path.dirname(source), `${path.basename(source, path.extname(source))}${format.extensions[0]}`));
+    if (path.resolve(outputPath) === path.resolve(source)) {
+        throw new Error(`Файл результата совпадает с исходным файлом: ${outputPath}. Укажите другой путь через --output`);
+    }
+
+    const modList = await loadModList(source);
+    await writeModList(outputPath, modList, formatName);
+    console.log(`Экспортировано модов: ${modList.modIds.length} в ${outputPath} (формат ${formatName})`);
+}
+
+/**
+ * Команды программы. paths - пути из config.js, которые проверяются перед запуском команды,
+ * sources - команда получает моды из источников modSources (проверяются и пути, нужные источникам),
+ * defaultList - без аргументов команда читает сохранение из config.js, json - команда поддерживает параметр --json
+ */
+const commands = {
+    analyze: { usage: 'analyze [list...]', description: 'Найти отсутствующие моды без загрузки', paths: ['modsDirectory'], defaultList: true, json: true, run: analyzeCommand },
+    install: { usage: 'install [list...]', description: 'Найти и загрузить отсутствующие моды', paths: ['modsDirectory'], sources: true, defaultList: true, json: true, run: installCommand },
+    update: { usage: 'update [list...]', description: 'Обновить установленные моды, изменившиеся в Steam Workshop', paths: ['modsDirectory'], sources: true, json: true, run: updateCommand },
+    rollback: { usage: 'rollback [run-id|steamId|packageId]', description: 'Откатить запуск или последнее изменение мода', paths: ['modsDirectory'], run: rollbackCommand },
+    'list-installed': { usage: 'list-installed', description: 'Показать установленные моды', paths: ['modsDirectory'], run: listInstalledCommand },
+    verify: { usage: 'verify [list...]', description: 'Проверить, что моды сохранения установлены и не повреждены', paths: ['modsDirectory'], defaultList: true, run: verifyCommand },
+    prune: { usage: 'prune [list...] [--apply]', description: 'Удалить моды, не используемые списками модов', paths: ['modsDirectory'], defaultList: true, run: pruneCommand },
+    modsconfig: { usage: 'modsconfig [list]', description: 'Записать порядок модов сохранения в ModsConfig.xml', paths: ['modsConfigPath'], defaultList: true, run: modsConfigCommand },
+    'load-order': { usage: 'load-order [list] [--write]', description: 'Проверить и исправить порядок загрузки модов', paths: ['modsDirectory'], defaultList: true, run: loadOrderCommand },
+    export: { usage: 'export [list] [--format] [--output]', description: 'Экспортировать список модов в формат rml, rimsort или plain', paths: [], defaultList: true, run: exportCommand },
+    saves: { usage: 'saves', description: 'Показать сохранения из папки сохранений', paths: ['savesDirectory'], run: savesCommand },
+    serve: { usage: 'serve [--host <адрес>] [--port <порт>]', description: 'Запустить веб-панель для анализа и загрузки модов', paths: ['modsDirectory'], sources: true, run: serveCommand },
+    diff: { usage: 'diff <list> <list>', description: 'Сравнить списки модов двух сохранений', paths: [], run: diffCommand }
+};
 
 async function main() {
+    let jsonOutput = false;
     try {
-        // Создаем экземпляр читателя сохранения
-        const saveReader = new RimworldSaveReader(config.saveFile);
-        
-        // Извлекаем список модов
-        console.log('Чтение файла сохранения...');
-        const mods = await saveReader.extractModList();
-        console.log(`Найдено модов: ${mods.length}`);
-        
-        // Создаем экземпляр менеджера SteamCMD
-        const steamManager = new SteamCmdManager();
-        
-        // Проверяем установку SteamCMD
-        console.log('Проверка установки SteamCMD...');
-        const isInstalled = await steamManager.isSteamCmdInstalled();
-        if (!isInstalled) {
-            throw new Error('SteamCMD не установлен! Пожалуйста, установите SteamCMD.');
-        }
-        
-        // Загружаем моды
-        console.log('Загрузка модов...');
-        const result = await steamManager.downloadMods(mods, config.modsDirectory);
-        
-        // Выводим результаты
-        console.log('\nРезультаты загрузки:');
-        console.log('===================');
-        
-        const successfulMods = result.results.filter(r => r.success);
-        const failedMods = result.results.filter(r => !r.success);
-        
-        console.log(`\nУспешно загружено: ${successfulMods.length} из ${mods.length} модов`);
-        
-        if (failedMods.length > 0) {
-            console.log('\nНе удалось загрузить следующие моды:');
-            failedMods.forEach(mod => {
-                console.log(`- Мод ${mod.name || mod.id}: ${mod.error}`);
-            });
-        }
-        
-        if (result.success) {
-            console.log('\nВсе моды успешно загружены!');
-        } else {
-            console.log('\nЗагрузка завершена с ошибками.');
-            process.exit(1);
-        }
-        
+        const { command, positionals, overrides, flags } = parseCommandLine(process.argv.slice(2));
+        const configSources = loadConfig(config, { configPath: flags.config, cliOverrides: overrides });
+
+        if (flags.help || !command) {
+            console.log(formatUsage(commands));
+            return;
+        }
+
+        if (!commands[command]) {
+            throw new Error(`Неизвестная команда: ${command}\n\n${formatUsage(commands)}`);
+        }
+
+        const { paths, sources, defaultList, json, run } = commands[command];
+        if (flags.json) {
+            if (!json) {
+                throw new Error(`Команда ${command} не поддерживает параметр --json`);
+            }
+            // stdout содержит только результат в формате JSON, сообщения выводятся в stderr
+            jsonOutput = true;
+            console.log = console.error;
+        }
+
+        const defaultSave = defaultList && positionals.length === 0 ? ['saveFilePath'] : [];
+        validateModSources(config);
+        const sourcePaths = sources ? getModSourcePaths(config.modSources) : [];
+        validatePaths(config, [...sourcePaths, ...paths, ...defaultSave], configSources);
+        if (flags.report) {
+            getReportFormat(flags.report);
+        }
+        validateInstallStrategy(config.installStrategy);
+
+        await run(positionals, flags);
     } catch (error) {
         console.error('Ошибка:', error.message);
-        process.exit(1);
+        errorLogger.error(error.message);
+        const exitCode = error.exitCode || EXIT_CODES.ERROR;
+        if (jsonOutput) {
+            printJson({ success: false, exitCode, runId: errorLogger.runId, error: error.message });
+        }
+        process.exit(exitCode);
     }
 }
 
-main(); 
\ No newline at end of file
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+const { parseXml, findChild, getChildText, getListItems } = require('./xml_parser');
+
+/**
+ * Зависимость мода из секции modDependencies
+ * @typedef {Object} ModDependency
+ * @property {string} packageId - packageId зависимости
+ * @property {string} displayName - Отображаемое название
+ * @property {string|null} steamId - Steam ID из steamWorkshopUrl или null
+ * @property {string|null} downloadUrl - Ссылка на скачивание вне Steam Workshop
+ */
+
+/**
+ * Извлекает Steam ID из ссылки на Steam Workshop
+ * (steam://url/CommunityFilePage/<id> или https://steamcommunity.com/...?id=<id>)
+ * @param {string|null} url - Ссылка на мод
+ * @returns {string|null}
+ */
+function parseWorkshopId(url) {
+    if (!url) {
+        return null;
+    }
+    const match = url.match(/CommunityFilePage\/(\d+)/i) || url.match(/[?&]id=(\d+)/);
+    return match ? match[1] : null;
+}
+
+/**
+ * Возвращает ключ версии для секций *ByVersion (например, "v1.5" для "1.5.4104 rev435")
+ * @param {string|null} gameVersion - Версия игры
+ * @returns {string|null}
+ */
+function getVersionKey(gameVersion) {
+    const match = gameVersion?.match(/^(\d+\.\d+)/);
+    return match ? `v${match[1]}` : null;
+}
+
+/**
+ * Проверяет, заявляет ли мод поддержку версии игры (сравниваются major.minor)
+ * @param {Array<string>} supportedVersions - Версии из supportedVersions в About.xml
+ * @param {string} gameVersion - Версия игры, например "1.5.4104 rev435"
+ * @returns {boolean}
+ */
+function supportsGameVersion(supportedVersions, gameVersion) {
+    const versionKey = getVersionKey(gameVersion);
+    return supportedVersions.some(version => getVersionKey(version.trim()) === versionKey);
+}
+
+/**
+ * Возвращает элементы списка вместе с элементами из секции <name>ByVersion для указанной версии
+ * @param {XmlElement} root - Корневой элемент About.xml
+ * @param {string} name - Имя списка
+ * @param {string|null} versionKey - Ключ версии
+ * @returns {Array<XmlElement>}
+ */
+function getVersionedListItems(root, name, versionKey) {
+    const items = getListItems(root, name);
+    if (versionKey) {
+        items.push(...getListItems(findChild(root, `${name}ByVersion`), versionKey));
+    }
+    return items;
+}
+
+/**
+ * Разбирает содержимое About.xml
+ * @param {string} content - Содержимое About.xml
+ * @param {string|null} [gameVersion] - Версия игры для секций *ByVersion
+ * @returns {{packageId: string|null, name: string|null, author: string|null, supportedVersions: Array<string>, dependencies: Array<ModDependency>,
+ *     loadBefore: Array<string>, loadAfter: Array<string>, forceLoadBefore: Array<string>, forceLoadAfter: Array<string>,
+ *     incompatibleWith: Array<string>}}
+ */
+function parseModAbout(content, gameVersion = null) {
+    const root = parseXml(content);
+    const versionKey = getVersionKey(gameVersion);
+
+    const dependencies = getVersionedListItems(root, 'modDependencies', versionKey)
+        .map(item => ({
+            packageId: getChildText(item, 'packageId')?.toLowerCase() || null,
+            displayName: getChildText(item, 'displayName') || getChildText(item, 'packageId'),
+            steamId: parseWorkshopId(getChildText(item, 'steamWorkshopUrl')),
+            downloadUrl: getChildText(item, 'downloadUrl')
+        }))
+        .filter(dependency => dependency.packageId);
+
+    // Списки packageId для правил порядка загрузки
+    const getPackageIds = items => items.map(item => item.text.toLowerCase()).filter(Boolean);
+
+    return {
+        packageId: getChildText(root, 'packageId')?.toLowerCase() || null,
+        name: getChildText(root, 'name'),
+        author: getChildText(root, 'author'),
+        supportedVersions: getListItems(root, 'supportedVersions').map(item => item.text).filter(Boolean),
+        dependencies,
+        loadBefore: getPackageIds(getVersionedListItems(root, 'loadBefore', versionKey)),
+        loadAfter: getPackageIds(getVersionedListItems(root, 'loadAfter', versionKey)),
+        forceLoadBefore: getPackageIds(getListItems(root, 'forceLoadBefore')),
+        forceLoadAfter: getPackageIds(getListItems(root, 'forceLoadAfter')),
+        incompatibleWith: getPackageIds(getVersionedListItems(root, 'incompatibleWith', versionKey))
+    };
+}
+
+/**
+ * Читает About/About.xml мода
+ * @param {string} modPath - Путь к директории мода
+ * @param {string|null} [gameVersion] - Версия игры для секций *ByVersion
+ * @returns {Promise<ReturnType<typeof parseModAbout>|null>} null, если About.xml отсутствует
+ */
+async function readModAbout(modPath, gameVersion = null) {
+    const aboutPath = path.join(modPath, 'About', 'About.xml');
+    if (!fs.existsSync(aboutPath)) {
+        return null;
+    }
+
+    const content = await fs.promises.readFile(aboutPath, 'utf8');
+    try {
+        return parseModAbout(content, gameVersion);
+    } catch (error) {
+        throw new Error(`Не удалось разобрать ${aboutPath}: ${error.message}`);
+    }
+}
+
+module.exports = {
+    parseWorkshopId,
+    getVersionKey,
+    supportsGameVersion,
+    parseModAbout,
+    readModAbout
+};
@@ -0,0 +1,80 @@
+/**
+ * Мод в сравнении списков
+ * @typedef {Object} DiffEntry
+ * @property {string} modId - packageId мода
+ * @property {string} steamId - Steam ID мода
+ * @property {string} modName - Название мода
+ * @property {number|null} fromIndex - Позиция в первом списке (с 0) или null
+ * @property {number|null} toIndex - Позиция во втором списке (с 0) или null
+ */
+
+/**
+ * Находит наибольшую общую подпоследовательность двух списков ключей
+ * @param {Array<string>} first - Первый список
+ * @param {Array<string>} second - Второй список
+ * @returns {Set<string>} Ключи, порядок которых совпадает в обоих списках
+ */
+function longestCommonSubsequence(first, second) {
+    const lengths = Array.from({ length: first.length + 1 }, () => new Array(second.length + 1).fill(0));
+    for (let i = first.length - 1; i >= 0; i--) {
+        for (let j = second.length - 1; j >= 0; j--) {
+            lengths[i][j] = first[i] === second[j] ?
+                lengths[i + 1][j + 1] + 1 :
+                Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const common = new Set();
+    let i = 0;
+    let j = 0;
+    while (i < first.length && j < second.length) {
+        if (first[i] === second[j]) {
+            common.add(first[i]);
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            i++;
+        } else {
+            j++;
+        }
+    }
+    return common;
+}
+
+/**
+ * Сравнивает два списка модов: добавленные, удаленные и перемещенные моды.
+ * Перемещенными считаются моды, которые нельзя оставить на месте при наименьшем числе перестановок
+ * @param {import('./mod_list_formats').ModListData} from - Первый список (например, старое сохранение)
+ * @param {import('./mod_list_formats').ModListData} to - Второй список
+ * @returns {{added: Array<DiffEntry>, removed: Array<DiffEntry>, moved: Array<DiffEntry>, gameVersion: {from: string|null, to: string|null}}}
+ */
+function diffModLists(from, to) {
+    const index = modList => new Map(modList.modIds.map((modId, position) => [modId.toLowerCase(), {
+        modId,
+        steamId: modList.modSteamIds[position] || '0',
+        modName: modList.modNames[position] || modId,
+        position
+    }]));
+    const fromMods = index(from);
+    const toMods = index(to);
+
+    const toEntry = key => {
+        const { position, ...mod } = toMods.get(key) || fromMods.get(key);
+        return { ...mod, fromIndex: fromMods.get(key)?.position ?? null, toIndex: toMods.get(key)?.position ?? null };
+    };
+
+    const commonFrom = [...fromMods.keys()].filter(key => toMods.has(key));
+    const commonTo = [...toMods.keys()].filter(key => fromMods.has(key));
+    const inOrder = longestCommonSubsequence(commonFrom, commonTo);
+
+    return {
+        added: [...toMods.keys()].filter(key => !fromMods.has(key)).map(toEntry),
+        removed: [...fromMods.keys()].filter(key => !toMods.has(key)).map(toEntry),
+        moved: commonTo.filter(key => !inOrder.has(key)).map(toEntry),
+        gameVersion: { from: from.gameVersion, to: to.gameVersion }
+    };
+}
+
+module.exports = {
+    diffModLists
+};
@@ -0,0 +1,400 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const RimworldSaveReader = require('./rimworld_save_reader');
+const SteamWebApi = require('./steam_web_api');
+const ResolutionCache = require('./resolution_cache');
+const { parseXml, findChild, getChildText, getListItems, escapeXml } = require('./xml_parser');
+const { parseWorkshopId } = require('./mod_about_reader');
+
+/**
+ * Список модов в том же виде, что и секция <meta> сохранения: параллельные массивы в порядке загрузки
+ * @typedef {Object} ModListData
+ * @property {string|null} gameVersion - Версия игры
+ * @property {Array<string>} modIds - packageId модов
+ * @property {Array<string>} modSteamIds - Steam ID модов ('0', если мода нет в Steam Workshop)
+ * @property {Array<string>} modNames - Названия модов
+ */
+
+/**
+ * Формат списка модов
+ * @typedef {Object} ModListFormat
+ * @property {string} description - Описание формата
+ * @property {Array<string>} extensions - Расширения файлов (первое используется при экспорте)
+ * @property {function(string, ModListOptions): Promise<ModListData>} read - Читает список модов из файла
+ * @property {(function(ModListData): string)|null} write - Формирует содержимое файла или null, если запись не поддерживается
+ */
+
+/**
+ * Настройки чтения списков модов, которым нужен Steam Web API (коллекции Steam Workshop).
+ * Не указанные поля берутся из config.js; поля совпадают с настройками менеджера (см. ManagerOptions)
+ * @typedef {Object} ModListOptions
+ * @property {string} [steamApiBaseUrl] - Базовый адрес Steam Web API
+ * @property {string} [steamApiKey] - Ключ Steam Web API
+ * @property {Object} [resolutionCache] - Путь и сроки хранения кэша поиска (поля как в config.js)
+ * @property {string} [rimworldAppId] - ID игры RimWorld в Steam
+ * @property {{log: Function, warn: Function}} [logger] - Вывод сообщений (по умолчанию console)
+ */
+
+/**
+ * Создает пустой список модов
+ * @param {string|null} [gameVersion] - Версия игры
+ * @returns {ModListData}
+ */
+function createModList(gameVersion = null) {
+    return { gameVersion, modIds: [], modSteamIds: [], modNames: [] };
+}
+
+/**
+ * Добавляет мод в список
+ * @param {ModListData} modList - Список модов
+ * @param {string} modId - packageId мода
+ * @param {string|null} steamId - Steam ID мода
+ * @param {string|null} modName - Название мода
+ */
+function addMod(modList, modId, steamId, modName) {
+    modList.modIds.push(modId);
+    modList.modSteamIds.push(steamId || '0');
+    modList.modNames.push(modName || modId);
+}
+
+/**
+ * Объединяет несколько списков модов без повторов (по packageId) в порядке первого появления
+ * @param {Array<ModListData>} modLists - Списки модов
+ * @returns {ModListData} Список с версией игры из первого списка
+ */
+function mergeModLists(modLists) {
+    const result = createModList(modLists[0]?.gameVersion ?? null);
+    const seen = new Set();
+
+    for (const modList of modLists) {
+        modList.modIds.forEach((modId, index) => {
+            if (seen.has(modId.toLowerCase())) {
+                return;
+            }
+            seen.add(modId.toLowerCase());
+            addMod(result, modId, modList.modSteamIds[index], modList.modNames[index]);
+        });
+    }
+    return result;
+}
+
+/**
+ * Формирует XML-список элементов <li> с заданным отступом
+ * @param {string} tagName - Имя элемента-списка
+ * @param {Array<string>} items - Элементы списка
+ * @param {string} indent - Отступ элемента-списка
+ * @returns {string}
+ */
+function buildXmlList(tagName, items, indent) {
+    return [
+        `${indent}<${tagName}>`,
+        ...items.map(item => `${indent}  <li>${escapeXml(item)}</li>`),
+        `${indent}</${tagName}>`
+    ].join('\n');
+}
+
+/**
+ * Сохранение RimWorld (.rws) - только чтение
+ * @type {ModListFormat}
+ */
+const rwsFormat = {
+    description: 'Сохранение RimWorld',
+    extensions: ['.rws'],
+    read: filePath => new RimworldSaveReader(filePath).readMeta(),
+    write: null
+};
+
+/**
+ * Список модов RimWorld/RimPy (.rml, savedModList). При чтении также поддерживается ModsConfig.xml
+ * @type {ModListFormat}
+ */
+const rmlFormat = {
+    description: 'Список модов RimWorld/RimPy (savedModList)',
+    extensions: ['.rml', '.xml'],
+    async read(filePath) {
+        const root = parseXml(await fs.promises.readFile(filePath, 'utf8'));
+        const getItems = (element, name) => getListItems(element, name).map(item => item.text);
+
+        const meta = findChild(root, 'meta');
+        const modList = findChild(root, 'modList');
+        const result = createModList(getChildText(meta, 'gameVersion') || getChildText(root, 'version'));
+
+        if (meta && findChild(meta, 'modIds')) {
+            const steamIds = getItems(meta, 'modSteamIds');
+            const names = getItems(meta, 'modNames');
+            getItems(meta, 'modIds').forEach((modId, index) => addMod(result, modId, steamIds[index], names[index]));
+        } else if (modList) {
+            const names = getItems(modList, 'names');
+            getItems(modList, 'ids').forEach((modId, index) => addMod(result, modId, null, names[index]));
+        } else if (findChild(root, 'activeMods')) {
+            getItems(root, 'activeMods').forEach(modId => addMod(result, modId, null, null));
+        } else {
+            throw new Error(`Файл ${filePath} не содержит списка модов (ожидались секции meta, modList или activeMods)`);
+        }
+
+        return result;
+    },
+    write(modList) {
+        return [
+            '<?xml version="1.0" encoding="utf-8"?>',
+            '<savedModList>',
+            '  <meta>',
+            `    <gameVersion>${escapeXml(modList.gameVersion || '')}</gameVersion>`,
+            buildXmlList('modIds', modList.modIds, '    '),
+            buildXmlList('modSteamIds', modList.modSteamIds, '    '),
+            buildXmlList('modNames', modList.modNames, '    '),
+            '  </meta>',
+            '  <modList>',
+            buildXmlList('ids', modList.modIds, '    '),
+            buildXmlList('names', modList.modNames, '    '),
+            '  </modList>',
+            '</savedModList>',
+            ''
+        ].join('\n');
+    }
+};
+
+/**
+ * Список модов RimSort (JSON). При чтении принимается массив модов или объект с массивом mods/activeMods;
+ * каждый мод - строка (packageId или Steam ID) или объект с полями packageId, name, publishedfileid
+ * @type {ModListFormat}
+ */
+const rimsortFormat = {
+    description: 'Список модов RimSort (JSON)',
+    extensions: ['.json'],
+    async read(filePath) {
+        const data = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        const mods = Array.isArray(data) ? data : data.mods || data.activeMods || data.active_mods;
+        if (!Array.isArray(mods)) {
+            throw new Error(`Файл ${filePath} не содержит списка модов (ожидался массив mods или activeMods)`);
+        }
+
+        const result = createModList(data.gameVersion || data.game_version || null);
+        for (const mod of mods) {
+            if (typeof mod === 'string') {
+                const steamId = /^\d+$/.test(mod) ? mod : null;
+                addMod(result, steamId || mod.toLowerCase(), steamId, null);
+                continue;
+            }
+
+            const steamId = String(mod.publishedfileid || mod.publishedFileId || mod.steamId || mod.steam_id || '') || null;
+            const modId = mod.packageId || mod.packageid || mod.package_id || steamId;
+            if (!modId) {
+                throw new Error(`Мод без packageId и Steam ID в файле ${filePath}: ${JSON.stringify(mod)}`);
+            }
+            addMod(result, modId.toLowerCase(), steamId, mod.name);
+        }
+
+        return result;
+    },
+    write(modList) {
+        const mods = modList.modIds.map((modId, index) => ({
+            packageId: modId,
+            name: modList.modNames[index],
+            publishedfileid: modList.modSteamIds[index] !== '0' ? modList.modSteamIds[index] : null
+        }));
+        return `${JSON.stringify({ gameVersion: modList.gameVersion, mods }, null, 2)}\n`;
+    }
+};
+
+/**
+ * Простой список: по одному Steam ID, ссылке на Steam Workshop или packageId в строке, комментарии после #
+ * @type {ModListFormat}
+ */
+const plainFormat = {
+    description: 'Простой список Steam ID или ссылок на Steam Workshop',
+    extensions: ['.txt'],
+    async read(filePath) {
+        const content = await fs.promises.readFile(filePath, 'utf8');
+        const result = createModList();
+
+        for (const rawLine of content.split(/\r?\n/)) {
+            const line = rawLine.replace(/#.*$/, '').trim();
+            if (!line) {
+                continue;
+            }
+
+            const steamId = /^\d+$/.test(line) ? line : parseWorkshopId(line);
+            if (steamId) {
+                addMod(result, steamId, steamId, null);
+            } else {
+                addMod(result, line.toLowerCase(), null, null);
+            }
+        }
+
+        return result;
+    },
+    write(modList) {
+        const lines = modList.modIds.map((modId, index) => {
+            const steamId = modList.modSteamIds[index];
+            const comment = `# ${modList.modNames[index]} (${modId})`;
+            return steamId !== '0' ? `${steamId} ${comment}` : `${modId} ${comment}`;
+        });
+        return `${lines.join('\n')}\n`;
+    }
+};
+
+/**
+ * Извлекает ID коллекции Steam Workshop из ссылки на нее: "collection:<ID или ссылка>",
+ * ID или ссылка на страницу Steam Workshop
+ * @param {string} source - Ссылка на коллекцию
+ * @returns {string|null} ID коллекции или null, если это не ссылка на коллекцию
+ */
+function parseCollectionReference(source) {
+    const reference = source.replace(/^collection:/i, '').trim();
+    if (/^\d+$/.test(reference)) {
+        return reference;
+    }
+    return /steamcommunity\.com/i.test(reference) ? parseWorkshopId(reference) : null;
+}
+
+/**
+ * Коллекция Steam Workshop (только чтение). Вложенные коллекции раскрываются рекурсивно
+ * @type {ModListFormat}
+ */
+const collectionFormat = {
+    description: 'Коллекция Steam Workshop (collection:<ID или ссылка>)',
+    extensions: [],
+    async read(source, options = {}) {
+        const collectionId = parseCollectionReference(source);
+        if (!collectionId) {
+            throw new Error(`Не удалось определить ID коллекции Steam Workshop: ${source}`);
+        }
+        const rimworldAppId = options.rimworldAppId || config.rimworldAppId;
+        const cacheOptions = { ...config.resolutionCache, ...options.resolutionCache };
+        const logger = options.logger || console;
+
+        const api = new SteamWebApi(options.steamApiBaseUrl, options.steamApiKey);
+        const itemIds = await api.expandCollection(collectionId);
+        const itemDetails = await api.getPublishedFileDetails(itemIds);
+        const details = new Map(itemDetails.map(item => [String(item.publishedfileid), item]));
+
+        const cache = new ResolutionCache(cacheOptions.path, cacheOptions, logger);
+        itemDetails.forEach(item => cache.setItem(item));
+        await cache.save();
+
+        const result = createModList();
+        for (const steamId of itemIds) {
+            const item = details.get(steamId);
+            if (item && item.result === 1 && item.consumer_app_id && String(item.consumer_app_id) !== rimworldAppId) {
+                logger.warn(`Элемент ${item.title || steamId} (${steamId}) не относится к RimWorld и будет пропущен`);
+                continue;
+            }
+            if (!item || item.result !== 1) {
+                logger.warn(`Не удалось получить сведения об элементе ${steamId} из Steam Workshop`);
+            }
+            addMod(result, steamId, steamId, item?.title);
+        }
+
+        logger.log(`Модов в коллекции ${collectionId}: ${result.modIds.length}`);
+        return result;
+    },
+    write: null
+};
+
+/**
+ * Зарегистрированные форматы списков модов
+ * @type {Object<string, ModListFormat>}
+ */
+const MOD_LIST_FORMATS = {
+    rws: rwsFormat,
+    rml: rmlFormat,
+    rimsort: rimsortFormat,
+    plain: plainFormat,
+    collection: collectionFormat
+};
+
+/**
+ * Регистрирует дополнительный формат списка модов
+ * @param {string} name - Имя формата
+ * @param {ModListFormat} format - Описание формата
+ */
+function registerModListFormat(name, format) {
+    MOD_LIST_FORMATS[name] = format;
+}
+
+/**
+ * Возвращает формат по имени
+ * @param {string} name - Имя формата
+ * @returns {ModListFormat}
+ */
+function getModListFormat(name) {
+    const format = MOD_LIST_FORMATS[name];
+    if (!format) {
+        throw new Error(`Неизвестный формат списка модов: ${name}. Доступные форматы: ${Object.keys(MOD_LIST_FORMATS).join(', ')}`);
+    }
+    return format;
+}
+
+/**
+ * Определяет формат файла по расширению, а если оно неизвестно - по содержимому.
+ * Ссылки на коллекции Steam Workshop, не совпадающие с существующим файлом, относятся к формату collection
+ * @param {string} filePath - Путь к файлу или ссылка на коллекцию
+ * @returns {Promise<string>} Имя формата
+ */
+async function detectModListFormat(filePath) {
+    if (/^collection:/i.test(filePath) || (parseCollectionReference(filePath) && !fs.existsSync(filePath))) {
+        return 'collection';
+    }
+
+    const extension = path.extname(filePath).toLowerCase();
+    const byExtension = Object.keys(MOD_LIST_FORMATS).find(name => MOD_LIST_FORMATS[name].extensions.includes(extension));
+    if (byExtension) {
+        return byExtension;
+    }
+
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const { buffer, bytesRead } = await handle.read(Buffer.alloc(256), 0, 256, 0);
+        const start = buffer.toString('utf8', 0, bytesRead).replace(/^\uFEFF/, '').trimStart();
+        if (start.startsWith('<')) {
+            return 'rml';
+        }
+        if (start.startsWith('{') || start.startsWith('[')) {
+            return 'rimsort';
+        }
+        return 'plain';
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Читает список модов из файла любого поддерживаемого формата
+ * @param {string} filePath - Путь к файлу или ссылка на коллекцию Steam Workshop
+ * @param {string} [formatName] - Имя формата (по умолчанию определяется автоматически)
+ * @param {ModListOptions} [options] - Настройки Steam Web API и кэша поиска (по умолчанию из config.js)
+ * @returns {Promise<ModListData>}
+ */
+async function readModList(filePath, formatName, options = {}) {
+    const format = getModListFormat(formatName || await detectModListFormat(filePath));
+    return format.read(filePath, options);
+}
+
+/**
+ * Записывает список модов в файл
+ * @param {string} filePath - Путь к файлу
+ * @param {ModListData} modList - Список модов
+ * @param {string} formatName - Имя формата
+ */
+async function writeModList(filePath, modList, formatName) {
+    const format = getModListFormat(formatName);
+    if (!format.write) {
+        throw new Error(`Формат ${formatName} не поддерживает запись`);
+    }
+    await fs.promises.writeFile(filePath, format.write(modList), 'utf8');
+}
+
+module.exports = {
+    MOD_LIST_FORMATS,
+    registerModListFormat,
+    getModListFormat,
+    detectModListFormat,
+    parseCollectionReference,
+    createModList,
+    addMod,
+    mergeModLists,
+    readModList,
+    writeModList
+};
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const config = require('./config');
+
+/**
+ * Ручные сопоставления модов Steam ID из редактируемого пользователем JSON-файла.
+ * Ключ - packageId или название мода (без учета регистра), значение - Steam ID
+ * или null, если мода нет в Steam Workshop и искать его не нужно:
+ * { "brrainz.harmony": "2009463077", "My Local Mod": null }
+ */
+class ModOverrides {
+    /**
+     * @param {string} [overridesPath] - Путь к файлу сопоставлений (по умолчанию из config.js)
+     */
+    constructor(overridesPath = config.overridesPath) {
+        this.overridesPath = overridesPath;
+        this.overrides = null;
+    }
+
+    /**
+     * Загружает файл сопоставлений при первом обращении
+     * @returns {Map<string, string|null>} Ключ в нижнем регистре -> Steam ID
+     */
+    load() {
+        if (this.overrides) {
+            return this.overrides;
+        }
+
+        this.overrides = new Map();
+        if (!fs.existsSync(this.overridesPath)) {
+            return this.overrides;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(this.overridesPath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Не удалось прочитать файл сопоставлений модов ${this.overridesPath}: ${error.message}`);
+        }
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error(`Файл сопоставлений модов ${this.overridesPath} должен содержать JSON-объект { "packageId или название": "Steam ID" }`);
+        }
+
+        for (const [key, steamId] of Object.entries(data)) {
+            if (steamId !== null && !/^\d+$/.test(String(steamId))) {
+                throw new Error(`Некорректный Steam ID "${steamId}" для "${key}" в файле ${this.overridesPath}`);
+            }
+            this.overrides.set(key.trim().toLowerCase(), steamId === null ? null : String(steamId));
+        }
+        return this.overrides;
+    }
+
+    /**
+     * Ищет ручное сопоставление мода (сначала по packageId, затем по названию)
+     * @param {string|null} modId - packageId мода
+     * @param {string|null} modName - Название мода
+     * @returns {string|null|undefined} Steam ID, null (мода нет в Steam Workshop) или undefined, если сопоставления нет
+     */
+    resolve(modId, modName) {
+        const overrides = this.load();
+        for (const key of [modId, modName]) {
+            if (key && overrides.has(key.trim().toLowerCase())) {
+                return overrides.get(key.trim().toLowerCase());
+            }
+        }
+        return undefined;
+    }
+}
+
+module.exports = ModOverrides;
@@ -0,0 +1,137 @@
+/**
+ * Кандидат поиска мода в Steam Workshop
+ * @typedef {Object} SearchCandidate
+ * @property {string} steamId - Steam ID элемента
+ * @property {string} title - Название элемента
+ * @property {string|null} author - Имя автора
+ * @property {string|null} packageId - packageId из метаданных элемента
+ * @property {number} score - Оценка совпадения от 0 до 1
+ */
+
+// Вклад совпадения названия и автора в оценку кандидата
+const TITLE_WEIGHT = 0.85;
+const AUTHOR_WEIGHT = 0.15;
+
+// Если второй кандидат отстает меньше чем на эту величину, выбор считается неоднозначным
+const AMBIGUITY_MARGIN = 0.05;
+const AMBIGUITY_PENALTY = 0.75;
+
+/**
+ * Приводит название мода к виду для сравнения: нижний регистр, без диакритики,
+ * пометок версий игры ([1.5], (1.4-1.5)) и знаков препинания
+ * @param {string} title - Название мода
+ * @returns {string}
+ */
+function normalizeTitle(title) {
+    return (title || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[[(]\s*(v|b)?\d+(\.\d+)*(\s*[-,/]\s*(v|b)?\d+(\.\d+)*)*\s*[\])]/g, ' ')
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+/**
+ * Возвращает биграммы символов строки
+ * @param {string} value - Строка
+ * @returns {Map<string, number>} Биграмма -> количество
+ */
+function getBigrams(value) {
+    const bigrams = new Map();
+    for (let i = 0; i < value.length - 1; i++) {
+        const bigram = value.slice(i, i + 2);
+        bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+    }
+    return bigrams;
+}
+
+/**
+ * Оценивает сходство названий (коэффициент Сёренсена по биграммам нормализованных названий)
+ * @param {string} a - Первое название
+ * @param {string} b - Второе название
+ * @returns {number} Сходство от 0 до 1
+ */
+function titleSimilarity(a, b) {
+    const first = normalizeTitle(a);
+    const second = normalizeTitle(b);
+    if (first === second) {
+        return first ? 1 : 0;
+    }
+
+    const firstBigrams = getBigrams(first);
+    const secondBigrams = getBigrams(second);
+    let common = 0;
+    for (const [bigram, count] of firstBigrams) {
+        common += Math.min(count, secondBigrams.get(bigram) || 0);
+    }
+    const total = Math.max(first.length - 1, 0) + Math.max(second.length - 1, 0);
+    return total > 0 ? (2 * common) / total : 0;
+}
+
+/**
+ * Извлекает packageId из метаданных элемента Steam Workshop
+ * (метаданные могут содержать сам packageId, XML с <packageId> или JSON с полем packageId)
+ * @param {string|null|undefined} metadata - Метаданные элемента
+ * @returns {string|null}
+ */
+function parsePackageIdFromMetadata(metadata) {
+    const value = (metadata || '').trim();
+    const match = value.match(/packageId["'>:=\s]+([\w-]+(\.[\w-]+)+)/i) || value.match(/^([\w-]+(\.[\w-]+)+)$/);
+    return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Проверяет, похож ли автор элемента на автора из packageId (первая часть packageId, например brrainz в brrainz.harmony)
+ * @param {string|null} author - Имя автора элемента
+ * @param {string|null} modId - packageId мода
+ * @returns {boolean}
+ */
+function authorMatches(author, modId) {
+    const packageAuthor = normalizeTitle(modId?.split('.')[0]).replace(/\s/g, '');
+    const name = normalizeTitle(author).replace(/\s/g, '');
+    if (packageAuthor.length < 3 || name.length < 3) {
+        return false;
+    }
+    return name === packageAuthor || name.includes(packageAuthor) || packageAuthor.includes(name);
+}
+
+/**
+ * Оценивает кандидатов поиска и выбирает лучший.
+ * Совпадение packageId из метаданных считается точным, иначе учитываются сходство названия и автор
+ * @param {string} modName - Искомое название мода
+ * @param {string|null} modId - packageId мода из сохранения
+ * @param {Array<{steamId: string, title: string, author: string|null, packageId: string|null}>} candidates - Результаты поиска
+ * @returns {{best: SearchCandidate, confidence: number, alternatives: Array<SearchCandidate>}|null}
+ */
+function rankCandidates(modName, modId, candidates) {
+    const normalizedModId = modId?.toLowerCase() || null;
+
+    const ranked = candidates
+        .map(candidate => {
+            const score = normalizedModId && candidate.packageId === normalizedModId ? 1 :
+                TITLE_WEIGHT * titleSimilarity(modName, candidate.title) +
+                (authorMatches(candidate.author, normalizedModId) ? AUTHOR_WEIGHT : 0);
+            return { ...candidate, score };
+        })
+        .sort((a, b) => b.score - a.score);
+
+    if (ranked.length === 0) {
+        return null;
+    }
+
+    const [best, ...alternatives] = ranked;
+    const runnerUp = alternatives[0];
+    const isAmbiguous = runnerUp && best.score - runnerUp.score < AMBIGUITY_MARGIN;
+    const confidence = isAmbiguous ? best.score * AMBIGUITY_PENALTY : best.score;
+
+    return { best, confidence, alternatives };
+}
+
+module.exports = {
+    normalizeTitle,
+    titleSimilarity,
+    parsePackageIdFromMetadata,
+    authorMatches,
+    rankCandidates
+};
@@ -0,0 +1,461 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const { DownloadCategory, parseSteamCmdOutput, getOutputExcerpt } = require('./steam_cmd_output_parser');
+const { extractZip } = require('./zip_reader');
+const { normalizePackageId } = require('./installed_mod_index');
+
+/**
+ * Результат получения мода из источника
+ * @typedef {Object} SourceResult
+ * @property {boolean} success - Мод получен
+ * @property {string} category - Категория результата (см. DownloadCategory)
+ * @property {string} [modPath] - Директория полученного мода, из которой он устанавливается
+ * @property {string} [action] - Действие для отчета о запуске (см. REPORT_ACTIONS)
+ * @property {string} [message] - Описание ошибки
+ * @property {string|null} [details] - Подробности ошибки для журнала и отчета (фрагмент вывода SteamCMD)
+ */
+
+/**
+ * Источник модов. Источник получает моды в директорию, из которой менеджер устанавливает их в директорию модов.
+ * Повторные попытки, проверка и установка выполняются менеджером одинаково для всех источников
+ */
+class ModSource {
+    /**
+     * @param {import('./steam_cmd_manager')} manager - Менеджер модов (настройки, вывод сообщений, пути загрузки)
+     */
+    constructor(manager) {
+        this.manager = manager;
+    }
+
+    /**
+     * Получает моды
+     * @param {Array<[string, string, string]>} mods - Массив модов в формате [modId, steamId, modName]
+     * @param {number} attempt - Номер попытки
+     * @returns {Promise<Map<[string, string, string], SourceResult>>} Результат для каждого мода
+     */
+    async fetchMods(mods, attempt) {
+        throw new Error(`Источник модов ${this.constructor.name} не реализует fetchMods`);
+    }
+
+    /**
+     * Проверяет, может ли источник получить мод без Steam ID по его packageId.
+     * Такие моды устанавливаются в папку с именем packageId (см. SteamCmdManager.getSourceModPath)
+     * @param {[string, string, string]} mod - Мод в формате [modId, steamId, modName]
+     * @returns {Promise<boolean>}
+     */
+    async hasPackage(mod) {
+        return false;
+    }
+}
+
+/**
+ * Steam Workshop через SteamCMD: все моды попытки загружаются за одну сессию
+ */
+class SteamCmdSource extends ModSource {
+    static description = 'Steam Workshop через SteamCMD';
+
+    // Поля config.js, которые должны указывать на существующие пути
+    static paths = ['steamCmdPath'];
+
+    async fetchMods(mods, attempt) {
+        const { logger } = this.manager;
+        logger.log(`Скачивание ${mods.length} модов за одну сессию SteamCMD (попытка ${attempt})...`);
+        logger.log(`Директория для установки модов: ${this.manager.modsDirectory}`);
+
+        const results = new Map();
+        // Мод без Steam ID нельзя загрузить из Steam Workshop, его получают другие источники по packageId
+        for (const mod of mods.filter(([, steamId]) => steamId === '0')) {
+            results.set(mod, { success: false, category: DownloadCategory.NOT_FOUND, message: `У мода ${mod[2]} нет Steam ID` });
+        }
+        const steamIds = [...new Set(mods.map(([, steamId]) => steamId).filter(steamId => steamId !== '0'))];
+        if (steamIds.length === 0) {
+            return results;
+        }
+
+        const { error, stdout, stderr } = await this.manager.runBatchSession(steamIds);
+        logger.log('Вывод SteamCMD:', stdout);
+        if (error) {
+            logger.error(`SteamCMD завершился с ошибкой: ${error.message}`);
+        }
+
+        const output = `${stdout}\n${stderr}`;
+        const itemResults = parseSteamCmdOutput(output, steamIds);
+        for (const mod of mods.filter(([, steamId]) => steamId !== '0')) {
+            const [, steamId, modName] = mod;
+            const itemResult = itemResults.get(steamId);
+            // Получаем путь к скачанному моду в директории RimWorld
+            const modPath = this.manager.getDownloadedModPath(steamId);
+            if (itemResult.success && fs.existsSync(modPath)) {
+                results.set(mod, { success: true, category: DownloadCategory.SUCCESS, modPath, action: 'downloaded' });
+            } else if (itemResult.success) {
+                results.set(mod, {
+                    success: false,
+                    category: DownloadCategory.UNKNOWN,
+                    message: `Мод ${modName} (${steamId}) не найден в директории после скачивания`
+                });
+            } else {
+                results.set(mod, { ...itemResult, details: getOutputExcerpt(output, steamId) });
+            }
+        }
+        return results;
+    }
+}
+
+/**
+ * Локальное зеркало: директория с поддиректориями модов или архивами .zip,
+ * названными по Steam ID или packageId мода
+ */
+class MirrorSource extends ModSource {
+    static description = 'Локальное зеркало модов';
+
+    static paths = ['mirrorDirectory'];
+
+    /**
+     * Читает содержимое директории зеркала
+     * @returns {Map<string, string>} Имя в нижнем регистре -> имя файла или директории
+     */
+    readEntries() {
+        const directory = this.manager.options.mirrorDirectory;
+        return new Map(fs.readdirSync(directory).map(name => [name.toLowerCase(), name]));
+    }
+
+    /**
+     * Ищет мод в зеркале по Steam ID и packageId
+     * @param {Map<string, string>} entries - Содержимое директории зеркала (см. readEntries)
+     * @param {[string, string, string]} mod - Мод в формате [modId, steamId, modName]
+     * @returns {string|undefined} Имя директории или архива мода
+     */
+    findEntry(entries, mod) {
+        return getMirrorKeys(mod)
+            .flatMap(key => [key, `${key}.zip`])
+            .map(candidate => entries.get(candidate))
+            .find(Boolean);
+    }
+
+    async hasPackage(mod) {
+        try {
+            return Boolean(this.findEntry(this.readEntries(), mod));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async fetchMods(mods) {
+        const directory = this.manager.options.mirrorDirectory;
+        const results = new Map();
+
+        let entries;
+        try {
+            entries = this.readEntries();
+        } catch (error) {
+            const message = `Зеркало модов ${directory} недоступно: ${error.message}`;
+            mods.forEach(mod => results.set(mod, { success: false, category: DownloadCategory.NOT_FOUND, message }));
+            return results;
+        }
+
+        for (const mod of mods) {
+            const [, steamId, modName] = mod;
+            const name = this.findEntry(entries, mod);
+            if (!name) {
+                results.set(mod, {
+                    success: false,
+                    category: DownloadCategory.NOT_FOUND,
+                    message: `Мод ${modName} (${steamId}) не найден в зеркале ${directory}`
+                });
+                continue;
+            }
+
+            // Битая ссылка или недоступный файл в зеркале - ошибка одного мода, а не всей загрузки
+            const entryPath = path.join(directory, name);
+            let stats;
+            try {
+                stats = fs.statSync(entryPath, { throwIfNoEntry: false });
+            } catch (error) {
+                stats = null;
+            }
+            if (!stats) {
+                results.set(mod, {
+                    success: false,
+                    category: DownloadCategory.NOT_FOUND,
+                    message: `Мод ${modName} (${steamId}) в зеркале недоступен: ${entryPath} (битая ссылка или нет доступа)`
+                });
+                continue;
+            }
+
+            if (stats.isDirectory()) {
+                this.manager.logger.log(`Мод ${modName} (${steamId}) найден в зеркале: ${entryPath}`);
+                results.set(mod, { success: true, category: DownloadCategory.SUCCESS, modPath: entryPath, action: 'mirrored' });
+                continue;
+            }
+
+            this.manager.logger.log(`Распаковка мода ${modName} (${steamId}) из архива ${entryPath}`);
+            results.set(mod, await extractModArchive(entryPath, this.manager.getSourceModPath(mod)));
+        }
+        return results;
+    }
+}
+
+/**
+ * HTTP-зеркало: архивы модов доступны по адресам <mirrorUrl>/<steamId>.zip или <mirrorUrl>/<packageId>.zip
+ */
+class HttpMirrorSource extends ModSource {
+    static description = 'HTTP-зеркало модов';
+
+    static paths = [];
+
+    /**
+     * Возвращает адрес архива мода на зеркале
+     * @param {string} key - Steam ID или packageId мода
+     * @returns {string}
+     */
+    getArchiveUrl(key) {
+        return `${this.manager.options.mirrorUrl.replace(/\/+$/, '')}/${encodeURIComponent(key)}.zip`;
+    }
+
+    async hasPackage(mod) {
+        try {
+            return await requestStatus(this.getArchiveUrl(normalizePackageId(mod[0]))) === 200;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async fetchMods(mods) {
+        const baseUrl = this.manager.options.mirrorUrl.replace(/\/+$/, '');
+        const results = new Map();
+
+        for (const mod of mods) {
+            const [, steamId, modName] = mod;
+            let result = {
+                success: false,
+                category: DownloadCategory.NOT_FOUND,
+                message: `Мод ${modName} (${steamId}) не найден на HTTP-зеркале ${baseUrl}`
+            };
+
+            for (const key of getMirrorKeys(mod)) {
+                const url = this.getArchiveUrl(key);
+                const archivePath = path.join(os.tmpdir(), `rimworld_mod_${process.pid}_${key}.zip`);
+                try {
+                    const statusCode = await downloadFile(url, archivePath);
+                    if (statusCode === 404) {
+                        continue;
+                    }
+                    if (statusCode !== 200) {
+                        result = { success: false, category: getHttpErrorCategory(statusCode), message: `HTTP-зеркало вернуло код ${statusCode} для ${url}` };
+                        break;
+                    }
+                    this.manager.logger.log(`Мод ${modName} (${steamId}) загружен с ${url}`);
+                    result = await extractModArchive(archivePath, this.manager.getSourceModPath(mod));
+                    break;
+                } catch (error) {
+                    const category = error.code === 'ETIMEDOUT' ? DownloadCategory.TIMEOUT : DownloadCategory.UNKNOWN;
+                    result = { success: false, category, message: `Не удалось загрузить ${url}: ${error.message}` };
+                    break;
+                } finally {
+                    await fs.promises.rm(archivePath, { force: true });
+                }
+            }
+            results.set(mod, result);
+        }
+        return results;
+    }
+}
+
+/**
+ * Зарегистрированные источники модов
+ * @type {Object<string, typeof ModSource>}
+ */
+const MOD_SOURCES = {
+    steamcmd: SteamCmdSource,
+    mirror: MirrorSource,
+    http: HttpMirrorSource
+};
+
+/**
+ * Регистрирует дополнительный источник модов
+ * @param {string} name - Имя источника (значение в modSources)
+ * @param {typeof ModSource} SourceClass - Класс источника
+ */
+function registerModSource(name, SourceClass) {
+    MOD_SOURCES[name] = SourceClass;
+}
+
+/**
+ * Возвращает имена, под которыми мод может лежать в зеркале: Steam ID (если он известен) и packageId
+ * (в нижнем регистре, без суффикса _steam, который RimWorld добавляет при совпадении с локальным модом)
+ * @param {[string, string, string]} mod - Мод в формате [modId, steamId, modName]
+ * @returns {Array<string>}
+ */
+function getMirrorKeys([modId, steamId]) {
+    const keys = steamId !== '0' ? [steamId] : [];
+    const packageId = normalizePackageId(modId);
+    if (packageId && packageId !== steamId) {
+        keys.push(packageId);
+    }
+    return keys;
+}
+
+/**
+ * Определяет категорию ошибки по коду ответа HTTP
+ * @param {number} statusCode - Код ответа
+ * @returns {string} Одна из категорий DownloadCategory
+ */
+function getHttpErrorCategory(statusCode) {
+    if (statusCode === 429) {
+        return DownloadCategory.RATE_LIMITED;
+    }
+    if (statusCode === 401 || statusCode === 403) {
+        return DownloadCategory.ACCESS_DENIED;
+    }
+    if (statusCode === 408 || statusCode === 504) {
+        return DownloadCategory.TIMEOUT;
+    }
+    return DownloadCategory.UNKNOWN;
+}
+
+/**
+ * Скачивает файл по HTTP(S), следуя перенаправлениям
+ * @param {string} url - Адрес файла
+ * @param {string} filePath - Путь для сохранения
+ * @param {number} [redirects] - Допустимое количество перенаправлений
+ * @returns {Promise<number>} Код ответа; файл записывается только при коде 200
+ */
+function downloadFile(url, filePath, redirects = 5) {
+    const client = new URL(url).protocol === 'http:' ? http : https;
+    return new Promise((resolve, reject) => {
+        const req = client.get(url, (res) => {
+            if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location && redirects > 0) {
+                res.resume();
+                resolve(downloadFile(new URL(res.headers.location, url).toString(), filePath, redirects - 1));
+                return;
+            }
+            if (res.statusCode !== 200) {
+                res.resume();
+                resolve(res.statusCode);
+                return;
+            }
+            const file = fs.createWriteStream(filePath);
+            res.pipe(file);
+            res.on('error', reject);
+            file.on('error', reject);
+            file.on('finish', () => resolve(res.statusCode));
+        });
+        req.setTimeout(30000, () => {
+            req.destroy(Object.assign(new Error('превышено время ожидания ответа'), { code: 'ETIMEDOUT' }));
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Запрашивает заголовки файла по HTTP(S) (запрос HEAD), следуя перенаправлениям
+ * @param {string} url - Адрес файла
+ * @param {number} [redirects] - Допустимое количество перенаправлений
+ * @returns {Promise<number>} Код ответа
+ */
+function requestStatus(url, redirects = 5) {
+    const client = new URL(url).protocol === 'http:' ? http : https;
+    return new Promise((resolve, reject) => {
+        const req = client.request(url, { method: 'HEAD' }, (res) => {
+            res.resume();
+            if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location && redirects > 0) {
+                resolve(requestStatus(new URL(res.headers.location, url).toString(), redirects - 1));
+                return;
+            }
+            resolve(res.statusCode);
+        });
+        req.setTimeout(30000, () => {
+            req.destroy(Object.assign(new Error('превышено время ожидания ответа'), { code: 'ETIMEDOUT' }));
+        });
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+/**
+ * Распаковывает архив мода в директорию загрузки. Если мод упакован вместе с директорией
+ * (архив содержит одну директорию без About в корне), распаковывается ее содержимое
+ * @param {string} archivePath - Путь к архиву .zip
+ * @param {string} modPath - Директория мода (заменяется)
+ * @returns {Promise<SourceResult>}
+ */
+async function extractModArchive(archivePath, modPath) {
+    const extractPath = `${modPath}.partial`;
+    try {
+        await fs.promises.rm(extractPath, { recursive: true, force: true });
+        await extractZip(archivePath, extractPath);
+
+        let rootPath = extractPath;
+        const entries = await fs.promises.readdir(extractPath, { withFileTypes: true });
+        if (entries.length === 1 && entries[0].isDirectory() && entries[0].name.toLowerCase() !== 'about') {
+            rootPath = path.join(extractPath, entries[0].name);
+        }
+
+        await fs.promises.rm(modPath, { recursive: true, force: true });
+        await fs.promises.rename(rootPath, modPath);
+        return { success: true, category: DownloadCategory.SUCCESS, modPath, action: 'mirrored' };
+    } catch (error) {
+        return { success: false, category: DownloadCategory.INSTALL_FAILED, message: `Не удалось распаковать архив ${archivePath}: ${error.message}` };
+    } finally {
+        await fs.promises.rm(extractPath, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Проверяет список источников модов и их настройки
+ * @param {Object} options - Настройки (config.js или настройки менеджера)
+ * @param {Array<string>} options.modSources - Источники в порядке приоритета
+ * @param {string} [options.mirrorDirectory] - Директория локального зеркала
+ * @param {string} [options.mirrorUrl] - Адрес HTTP-зеркала
+ */
+function validateModSources({ modSources, mirrorDirectory, mirrorUrl }) {
+    if (!Array.isArray(modSources) || modSources.length === 0) {
+        throw new Error('Не указаны источники модов (modSources)');
+    }
+    for (const name of modSources) {
+        if (!Object.hasOwn(MOD_SOURCES, name)) {
+            throw new Error(`Неизвестный источник модов: ${name}. Допустимые значения: ${Object.keys(MOD_SOURCES).join(', ')}`);
+        }
+    }
+    if (modSources.includes('mirror') && !mirrorDirectory) {
+        throw new Error('Для источника mirror нужна директория зеркала: укажите mirrorDirectory в config.js или --mirror');
+    }
+    if (modSources.includes('http') && !/^https?:\/\/[^/]/i.test(mirrorUrl || '')) {
+        throw new Error(`Для источника http нужен адрес HTTP-зеркала http(s)://...: укажите mirrorUrl в config.js или --mirror-url (сейчас: ${mirrorUrl || 'не указан'})`);
+    }
+}
+
+/**
+ * Возвращает поля config.js с путями, которые нужны источникам модов
+ * @param {Array<string>} modSources - Источники модов
+ * @returns {Array<string>}
+ */
+function getModSourcePaths(modSources) {
+    return [...new Set(modSources.flatMap(name => MOD_SOURCES[name]?.paths || []))];
+}
+
+/**
+ * Создает источники модов менеджера в порядке приоритета
+ * @param {import('./steam_cmd_manager')} manager - Менеджер модов
+ * @returns {Array<ModSource>}
+ */
+function createModSources(manager) {
+    validateModSources(manager.options);
+    return manager.options.modSources.map((name) => {
+        const source = new MOD_SOURCES[name](manager);
+        source.name = name;
+        return source;
+    });
+}
+
+module.exports = {
+    ModSource,
+    MOD_SOURCES,
+    registerModSource,
+    validateModSources,
+    getModSourcePaths,
+    createModSources
+};
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+const { readModAbout } = require('./mod_about_reader');
+const { getLinkTarget, isBrokenLink } = require('./install_strategy');
+
+/**
+ * Результаты проверки установленного мода
+ */
+const VerifyStatus = {
+    OK: 'ok',
+    NOT_INSTALLED: 'not_installed',
+    EMPTY: 'empty',
+    INCOMPLETE: 'incomplete',
+    NO_ABOUT: 'no_about',
+    BAD_ABOUT: 'bad_about',
+    PACKAGE_MISMATCH: 'package_mismatch'
+};
+
+// Описания результатов проверки для вывода
+const VERIFY_STATUS_LABELS = {
+    [VerifyStatus.OK]: 'в порядке',
+    [VerifyStatus.NOT_INSTALLED]: 'не установлен',
+    [VerifyStatus.EMPTY]: 'пустая директория',
+    [VerifyStatus.INCOMPLETE]: 'загружен не полностью',
+    [VerifyStatus.NO_ABOUT]: 'нет About/About.xml',
+    [VerifyStatus.BAD_ABOUT]: 'About.xml не читается',
+    [VerifyStatus.PACKAGE_MISMATCH]: 'packageId не совпадает'
+};
+
+/**
+ * Считает количество и общий размер файлов в директории
+ * @param {string} directory - Директория
+ * @returns {{files: number, size: number}}
+ */
+function measureDirectory(directory) {
+    let files = 0;
+    let size = 0;
+    const walk = (current) => {
+        for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+            const entryPath = path.join(current, entry.name);
+            if (entry.isDirectory()) {
+                walk(entryPath);
+            } else if (entry.isFile()) {
+                files++;
+                size += fs.statSync(entryPath).size;
+            }
+        }
+    };
+    walk(directory);
+    return { files, size };
+}
+
+/**
+ * Проверяет, что packageId можно сравнивать: в списках из одних Steam ID вместо packageId записан Steam ID
+ * @param {string|null} modId - ID мода из сохранения или списка модов
+ * @param {string} steamId - Steam ID мода
+ * @returns {boolean}
+ */
+function isComparablePackageId(modId, steamId) {
+    return Boolean(modId) && modId !== steamId && !/^\d+$/.test(modId);
+}
+
+/**
+ * Проверяет директорию установленного мода: наличие файлов, размер по манифесту SteamCMD,
+ * About/About.xml и совпадение packageId с ID мода из сохранения
+ * @param {string} modPath - Директория мода
+ * @param {Object} expected - Ожидаемые значения
+ * @param {string|null} [expected.modId] - packageId мода из сохранения
+ * @param {string} expected.steamId - Steam ID мода
+ * @param {number|null} [expected.size] - Размер мода по манифесту SteamCMD (байт)
+ * @returns {Promise<{status: string, message: string, packageId: string|null, size: number|null}>}
+ */
+async function verifyModDirectory(modPath, { modId = null, steamId, size: expectedSize = null }) {
+    const result = (status, message, fields = {}) => ({ status, message, packageId: null, size: null, ...fields });
+
+    if (isBrokenLink(modPath)) {
+        return result(VerifyStatus.NOT_INSTALLED, `Ссылка ${modPath} указывает на несуществующую директорию ${getLinkTarget(modPath)}`);
+    }
+    if (!fs.existsSync(modPath) || !fs.statSync(modPath).isDirectory()) {
+        return result(VerifyStatus.NOT_INSTALLED, `Директория ${modPath} не найдена`);
+    }
+
+    const { files, size } = measureDirectory(modPath);
+    if (files === 0) {
+        return result(VerifyStatus.EMPTY, `Директория ${modPath} пуста`, { size });
+    }
+    if (expectedSize && size < expectedSize) {
+        return result(VerifyStatus.INCOMPLETE, `Размер ${size} байт меньше размера по манифесту SteamCMD (${expectedSize} байт)`, { size });
+    }
+
+    let about;
+    try {
+        about = await readModAbout(modPath);
+    } catch (error) {
+        return result(VerifyStatus.BAD_ABOUT, error.message, { size });
+    }
+    if (!about) {
+        return result(VerifyStatus.NO_ABOUT, `Нет файла ${path.join(modPath, 'About', 'About.xml')}`, { size });
+    }
+    if (!about.packageId) {
+        return result(VerifyStatus.BAD_ABOUT, 'В About.xml не указан packageId', { size });
+    }
+
+    // RimWorld добавляет суффикс _steam к packageId мода из Steam Workshop, если есть локальный мод с тем же packageId
+    if (isComparablePackageId(modId, steamId) && about.packageId !== modId.toLowerCase().replace(/_steam$/, '')) {
+        return result(VerifyStatus.PACKAGE_MISMATCH,
+            `packageId в About.xml (${about.packageId}) не совпадает с ID мода в сохранении (${modId})`,
+            { packageId: about.packageId, size });
+    }
+
+    return result(VerifyStatus.OK, '', { packageId: about.packageId, size });
+}
+
+module.exports = {
+    VerifyStatus,
+    VERIFY_STATUS_LABELS,
+    verifyModDirectory
+};
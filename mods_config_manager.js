@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { escapeXml, parseXml, getListItems } = require('./xml_parser');
+
+class ModsConfigManager {
+    /**
+     * @param {string} [modsConfigPath] - Путь к ModsConfig.xml (по умолчанию из config.js)
+     */
+    constructor(modsConfigPath = config.modsConfigPath) {
+        this.modsConfigPath = modsConfigPath;
+        // packageId ядра игры; все остальные моды ludeon.rimworld.* - официальные дополнения
+        this.corePackageId = 'ludeon.rimworld';
+    }
+
+    /**
+     * Формирует XML-список элементов <li>
+     * @param {string} tagName - Имя элемента списка
+     * @param {Array<string>} items - Элементы списка
+     * @returns {string}
+     */
+    buildList(tagName, items) {
+        const lines = items.map(item => `    <li>${escapeXml(item)}</li>`);
+        return [`<${tagName}>`, ...lines, `  </${tagName}>`].join('\n');
+    }
+
+    /**
+     * Формирует новый ModsConfig.xml
+     * @param {Array<string>} activeMods - packageId модов в порядке загрузки
+     * @param {string|null} gameVersion - Версия игры
+     * @returns {string}
+     */
+    buildModsConfig(activeMods, gameVersion) {
+        const knownExpansions = this.getExpansions(activeMods);
+
+        return [
+            '<?xml version="1.0" encoding="utf-8"?>',
+            '<ModsConfigData>',
+            `  <version>${escapeXml(gameVersion || '')}</version>`,
+            `  ${this.buildList('activeMods', activeMods)}`,
+            `  ${this.buildList('knownExpansions', knownExpansions)}`,
+            '</ModsConfigData>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Возвращает официальные дополнения (ludeon.rimworld.*) из списка модов
+     * @param {Array<string>} activeMods - packageId модов
+     * @returns {Array<string>}
+     */
+    getExpansions(activeMods) {
+        return activeMods.filter(packageId => packageId.startsWith(`${this.corePackageId}.`));
+    }
+
+    /**
+     * Заменяет секцию-список в ModsConfig.xml или добавляет ее в конец ModsConfigData
+     * @param {string} content - Содержимое файла
+     * @param {string} tagName - Имя элемента списка
+     * @param {Array<string>} items - Элементы списка
+     * @returns {string}
+     */
+    replaceList(content, tagName, items) {
+        const listXml = this.buildList(tagName, items);
+        const pattern = new RegExp(`<${tagName}\\s*/>|<${tagName}>.*?</${tagName}>`, 's');
+
+        if (pattern.test(content)) {
+            return content.replace(pattern, () => listXml);
+        }
+
+        if (!content.includes('</ModsConfigData>')) {
+            throw new Error(`Файл ${this.modsConfigPath} не похож на ModsConfig.xml: не найден элемент ModsConfigData`);
+        }
+        return content.replace('</ModsConfigData>', () => `  ${listXml}\n</ModsConfigData>`);
+    }
+
+    /**
+     * Заменяет секцию activeMods в существующем ModsConfig.xml, сохраняя остальные секции.
+     * Официальные дополнения из activeMods, которых нет в knownExpansions, добавляются в конец knownExpansions
+     * (как в новом файле, см. buildModsConfig)
+     * @param {string} content - Содержимое существующего файла
+     * @param {Array<string>} activeMods - packageId модов в порядке загрузки
+     * @returns {string}
+     */
+    mergeModsConfig(content, activeMods) {
+        let merged = this.replaceList(content, 'activeMods', activeMods);
+
+        const knownExpansions = getListItems(parseXml(content), 'knownExpansions').map(item => item.text);
+        const newExpansions = this.getExpansions(activeMods)
+            .filter(packageId => !knownExpansions.some(known => known.toLowerCase() === packageId.toLowerCase()));
+        if (newExpansions.length > 0) {
+            merged = this.replaceList(merged, 'knownExpansions', [...knownExpansions, ...newExpansions]);
+        }
+        return merged;
+    }
+
+    /**
+     * Создает резервную копию ModsConfig.xml
+     * @returns {Promise<string>} Путь к резервной копии
+     */
+    async backup() {
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const backupPath = `${this.modsConfigPath}.backup-${timestamp}`;
+        await fs.promises.copyFile(this.modsConfigPath, backupPath);
+        return backupPath;
+    }
+
+    /**
+     * Записывает порядок загрузки модов в ModsConfig.xml.
+     * Существующий файл сохраняется в резервную копию, секция version не меняется, в knownExpansions только добавляются
+     * новые официальные дополнения
+     * @param {Array<string>} activeMods - packageId модов в порядке загрузки
+     * @param {string|null} gameVersion - Версия игры (используется только для нового файла)
+     * @returns {Promise<{modsConfigPath: string, backupPath: string|null}>}
+     */
+    async writeActiveMods(activeMods, gameVersion) {
+        let content;
+        let backupPath = null;
+
+        if (fs.existsSync(this.modsConfigPath)) {
+            const existingContent = await fs.promises.readFile(this.modsConfigPath, 'utf8');
+            content = this.mergeModsConfig(existingContent, activeMods);
+            backupPath = await this.backup();
+        } else {
+            await fs.promises.mkdir(path.dirname(this.modsConfigPath), { recursive: true });
+            content = this.buildModsConfig(activeMods, gameVersion);
+        }
+
+        await fs.promises.writeFile(this.modsConfigPath, content, 'utf8');
+        return { modsConfigPath: this.modsConfigPath, backupPath };
+    }
+}
+
+module.exports = ModsConfigManager;
@@ -0,0 +1,223 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { parseVdf } = require('./vdf_parser');
+
+/**
+ * Возвращает папку данных RimWorld (Saves, Config) для платформы
+ * @param {string} [platform] - Платформа (process.platform)
+ * @param {string} [home] - Домашняя директория пользователя
+ * @returns {string}
+ */
+function getRimworldDataDirectory(platform = process.platform, home = os.homedir()) {
+    switch (platform) {
+        case 'win32':
+            return path.join(home, 'AppData', 'LocalLow', 'Ludeon Studios', 'RimWorld by Ludeon Studios');
+        case 'darwin':
+            return path.join(home, 'Library', 'Application Support', 'RimWorld');
+        default:
+            return path.join(home, '.config', 'unity3d', 'Ludeon Studios', 'RimWorld by Ludeon Studios');
+    }
+}
+
+/**
+ * Возвращает возможные корневые директории Steam для платформы
+ * @param {string} [platform] - Платформа (process.platform)
+ * @param {string} [home] - Домашняя директория пользователя
+ * @returns {Array<string>}
+ */
+function getSteamRootCandidates(platform = process.platform, home = os.homedir()) {
+    switch (platform) {
+        case 'win32':
+            return [
+                path.join(process.env['ProgramFiles(x86)'] || 'C:\\Program Files (x86)', 'Steam'),
+                path.join(process.env.ProgramFiles || 'C:\\Program Files', 'Steam')
+            ];
+        case 'darwin':
+            return [path.join(home, 'Library', 'Application Support', 'Steam')];
+        default:
+            return [
+                path.join(home, '.steam', 'steam'),
+                path.join(home, '.local', 'share', 'Steam'),
+                // Steam из Flatpak
+                path.join(home, '.var', 'app', 'com.valvesoftware.Steam', '.local', 'share', 'Steam')
+            ];
+    }
+}
+
+/**
+ * Читает список библиотек Steam из steamapps/libraryfolders.vdf
+ * @param {string} steamRoot - Корневая директория Steam
+ * @returns {Array<string>} Пути к библиотекам (включая саму директорию Steam)
+ */
+function readSteamLibraryFolders(steamRoot) {
+    const libraries = [steamRoot];
+    const libraryFoldersPath = path.join(steamRoot, 'steamapps', 'libraryfolders.vdf');
+    if (!fs.existsSync(libraryFoldersPath)) {
+        return libraries;
+    }
+
+    try {
+        const data = parseVdf(fs.readFileSync(libraryFoldersPath, 'utf8'));
+        const folders = data.libraryfolders || data.LibraryFolders || {};
+        for (const [key, value] of Object.entries(folders)) {
+            // Новый формат: "0" { "path" "..." }, старый формат: "1" "..."
+            if (!/^\d+$/.test(key)) {
+                continue;
+            }
+            const libraryPath = typeof value === 'string' ? value : value.path;
+            if (libraryPath && !libraries.includes(libraryPath)) {
+                libraries.push(libraryPath);
+            }
+        }
+    } catch (error) {
+        console.warn(`Не удалось прочитать ${libraryFoldersPath}: ${error.message}`);
+    }
+    return libraries;
+}
+
+/**
+ * Ищет установленную RimWorld в библиотеках Steam
+ * @param {string} [platform] - Платформа (process.platform)
+ * @param {string} [home] - Домашняя директория пользователя
+ * @returns {string|null} Директория игры или null, если игра не найдена
+ */
+function findRimworldInstall(platform = process.platform, home = os.homedir()) {
+    for (const steamRoot of getSteamRootCandidates(platform, home).filter(candidate => fs.existsSync(candidate))) {
+        for (const library of readSteamLibraryFolders(steamRoot)) {
+            const installPath = path.join(library, 'steamapps', 'common', 'RimWorld');
+            if (fs.existsSync(installPath)) {
+                return installPath;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Возвращает директорию модов установленной RimWorld
+ * @param {string} installPath - Директория игры
+ * @param {string} [platform] - Платформа (process.platform)
+ * @returns {string}
+ */
+function getModsDirectory(installPath, platform = process.platform) {
+    // На macOS моды лежат внутри пакета приложения
+    const macModsPath = path.join(installPath, 'RimWorldMac.app', 'Mods');
+    return platform === 'darwin' && fs.existsSync(macModsPath) ? macModsPath : path.join(installPath, 'Mods');
+}
+
+/**
+ * Ищет исполняемый файл в директориях из PATH
+ * @param {Array<string>} names - Имена файлов
+ * @returns {string|null}
+ */
+function findInPath(names) {
+    for (const directory of (process.env.PATH || '').split(path.delimiter).filter(Boolean)) {
+        for (const name of names) {
+            const candidate = path.join(directory, name);
+            if (fs.existsSync(candidate)) {
+                return candidate;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Возвращает возможные пути к SteamCMD для платформы в порядке приоритета
+ * @param {string} [platform] - Платформа (process.platform)
+ * @param {string} [home] - Домашняя директория пользователя
+ * @returns {Array<string>}
+ */
+function getSteamCmdCandidates(platform = process.platform, home = os.homedir()) {
+    switch (platform) {
+        case 'win32':
+            return ['C:\\Games\\steamCMD\\steamcmd.exe', 'C:\\steamcmd\\steamcmd.exe', path.join(home, 'steamcmd', 'steamcmd.exe')];
+        case 'darwin':
+            return [path.join(home, 'steamcmd', 'steamcmd.sh'), path.join(home, 'Steam', 'steamcmd.sh')];
+        default:
+            return [
+                '/usr/games/steamcmd',
+                '/usr/bin/steamcmd',
+                path.join(home, 'steamcmd', 'steamcmd.sh'),
+                path.join(home, '.steam', 'steamcmd', 'steamcmd.sh'),
+                path.join(home, 'Steam', 'steamcmd.sh'),
+                '/opt/steamcmd/steamcmd.sh'
+            ];
+    }
+}
+
+/**
+ * Ищет SteamCMD: сначала в стандартных расположениях, затем в PATH
+ * @param {string} [platform] - Платформа (process.platform)
+ * @param {string} [home] - Домашняя директория пользователя
+ * @returns {string} Найденный путь или первый из стандартных путей, если SteamCMD не найден
+ */
+function findSteamCmd(platform = process.platform, home = os.homedir()) {
+    const candidates = getSteamCmdCandidates(platform, home);
+    return candidates.find(candidate => fs.existsSync(candidate)) ||
+        findInPath(platform === 'win32' ? ['steamcmd.exe'] : ['steamcmd', 'steamcmd.sh']) ||
+        candidates[0];
+}
+
+/**
+ * Возвращает директорию установки SteamCMD, в которой он хранит загрузки (steamapps).
+ * Путь к SteamCMD может быть ссылкой (например, /usr/games/steamcmd -> /usr/lib/games/steamcmd/steamcmd.sh), поэтому
+ * сначала проверяется директория, на которую он указывает: если в ней есть steamcmd.sh, steamcmd.exe или linux32,
+ * это и есть директория установки. Пакет Debian/Ubuntu и другие обертки без расширения запускают SteamCMD,
+ * установленный в ~/.steam/steamcmd
+ * @param {string} steamCmdPath - Путь к SteamCMD
+ * @param {string} [home] - Домашняя директория пользователя
+ * @returns {string}
+ */
+function getSteamCmdDirectory(steamCmdPath, home = os.homedir()) {
+    let realPath = steamCmdPath;
+    try {
+        realPath = fs.realpathSync(steamCmdPath);
+    } catch (error) {
+        // SteamCMD еще не установлен: директория определяется по указанному пути
+    }
+
+    const directory = path.dirname(realPath);
+    if (['steamcmd.sh', 'steamcmd.exe', 'linux32'].some(name => fs.existsSync(path.join(directory, name)))) {
+        return directory;
+    }
+    if (path.extname(realPath) !== '') {
+        return directory;
+    }
+    return path.join(home, '.steam', 'steamcmd');
+}
+
+/**
+ * Определяет пути RimWorld и SteamCMD для текущей платформы
+ * @returns {{rimworldDataDirectory: string, modsDirectory: string, steamCmdPath: string}}
+ */
+function detectPaths() {
+    // Установка RimWorld без Steam в стандартную директорию Windows
+    const standaloneModsDirectory = 'C:\\Program Files (x86)\\RimWorld\\Mods';
+    const installPath = findRimworldInstall();
+
+    let modsDirectory;
+    if (process.platform === 'win32' && (fs.existsSync(standaloneModsDirectory) || !installPath)) {
+        modsDirectory = standaloneModsDirectory;
+    } else {
+        modsDirectory = getModsDirectory(installPath || path.join(getSteamRootCandidates()[0], 'steamapps', 'common', 'RimWorld'));
+    }
+
+    return {
+        rimworldDataDirectory: getRimworldDataDirectory(),
+        modsDirectory,
+        steamCmdPath: findSteamCmd()
+    };
+}
+
+module.exports = {
+    getRimworldDataDirectory,
+    getSteamRootCandidates,
+    readSteamLibraryFolders,
+    findRimworldInstall,
+    getModsDirectory,
+    findSteamCmd,
+    getSteamCmdDirectory,
+    detectPaths
+};
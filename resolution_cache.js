@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { normalizeTitle } = require('./mod_search');
+
+// Версия формата файла кэша; кэш другой версии не используется
+const CACHE_VERSION = 1;
+
+/**
+ * Запись кэша
+ * @typedef {Object} CacheEntry
+ * @property {number} cachedAt - Время записи (мс с начала эпохи)
+ * @property {number} ttl - Срок действия записи (мс)
+ */
+
+/**
+ * Локальный кэш результатов поиска модов в Steam Workshop:
+ * packageId/название -> Steam ID, пометки "мода нет в Steam Workshop" и сведения об элементах Workshop
+ */
+class ResolutionCache {
+    /**
+     * @param {string} [cachePath] - Путь к файлу кэша (по умолчанию из config.js)
+     * @param {{ttl: number, notFoundTtl: number, itemTtl: number}} [ttls] - Сроки хранения записей (по умолчанию из config.js)
+     * @param {{warn: Function}} [logger] - Вывод предупреждения о поврежденном файле кэша
+     */
+    constructor(cachePath = config.resolutionCache.path, { ttl, notFoundTtl, itemTtl } = config.resolutionCache, logger = console) {
+        this.cachePath = cachePath;
+        this.logger = logger;
+        this.ttls = { ttl, notFoundTtl, itemTtl };
+        this.data = null;
+        this.isDirty = false;
+    }
+
+    /**
+     * Загружает кэш из файла при первом обращении. Поврежденный файл кэша игнорируется
+     * @returns {{version: number, resolutions: Object<string, Object>, items: Object<string, Object>}}
+     */
+    load() {
+        if (this.data) {
+            return this.data;
+        }
+
+        this.data = { version: CACHE_VERSION, resolutions: {}, items: {} };
+        if (!fs.existsSync(this.cachePath)) {
+            return this.data;
+        }
+
+        try {
+            const stored = JSON.parse(fs.readFileSync(this.cachePath, 'utf8'));
+            if (stored.version === CACHE_VERSION) {
+                this.data.resolutions = stored.resolutions || {};
+                this.data.items = stored.items || {};
+            }
+        } catch (error) {
+            this.logger.warn(`Файл кэша ${this.cachePath} поврежден и будет перезаписан: ${error.message}`);
+        }
+        return this.data;
+    }
+
+    /**
+     * Сохраняет кэш в файл, если он изменился. Устаревшие записи при этом удаляются
+     */
+    async save() {
+        if (!this.isDirty) {
+            return;
+        }
+
+        const data = this.load();
+        for (const section of [data.resolutions, data.items]) {
+            for (const [key, entry] of Object.entries(section)) {
+                if (!this.isFresh(entry)) {
+                    delete section[key];
+                }
+            }
+        }
+
+        await fs.promises.mkdir(path.dirname(this.cachePath), { recursive: true });
+        await fs.promises.writeFile(this.cachePath, `${JSON.stringify(data, null, 2)}\n`, 'utf8');
+        this.isDirty = false;
+    }
+
+    /**
+     * Проверяет, не истек ли срок действия записи
+     * @param {CacheEntry|undefined} entry - Запись кэша
+     * @returns {boolean}
+     */
+    isFresh(entry) {
+        return Boolean(entry) && Date.now() - entry.cachedAt < entry.ttl;
+    }
+
+    /**
+     * Формирует ключи записи о моде: по packageId и по нормализованному названию
+     * @param {string|null} modId - packageId мода
+     * @param {string|null} modName - Название мода
+     * @returns {Array<string>}
+     */
+    getResolutionKeys(modId, modName) {
+        const keys = [];
+        if (modId) {
+            keys.push(`packageId:${modId.toLowerCase()}`);
+        }
+        const name = normalizeTitle(modName);
+        if (name) {
+            keys.push(`name:${name}`);
+        }
+        return keys;
+    }
+
+    /**
+     * Ищет в кэше результат поиска мода: по packageId, а для мода без packageId - по названию.
+     * Мод с packageId не ищется по названию: у другого мода с тем же названием может быть другой Steam ID
+     * @param {string|null} modId - packageId мода
+     * @param {string|null} modName - Название мода
+     * @returns {{steamId: string|null, title?: string, confidence?: number}|null}
+     *          Запись с steamId (null - мода нет в Steam Workshop) или null, если в кэше ничего нет
+     */
+    getResolution(modId, modName) {
+        const { resolutions } = this.load();
+        const [key] = this.getResolutionKeys(modId, modName);
+        return key && this.isFresh(resolutions[key]) ? resolutions[key] : null;
+    }
+
+    /**
+     * Запоминает найденный Steam ID мода
+     * @param {string|null} modId - packageId мода
+     * @param {string|null} modName - Название мода
+     * @param {{steamId: string, title: string, confidence: number}} match - Результат поиска
+     */
+    setResolution(modId, modName, { steamId, title, confidence }) {
+        this.setResolutionEntry(modId, modName, { steamId, title, confidence }, this.ttls.ttl);
+    }
+
+    /**
+     * Запоминает, что мода нет в Steam Workshop
+     * @param {string|null} modId - packageId мода
+     * @param {string|null} modName - Название мода
+     */
+    markNotOnWorkshop(modId, modName) {
+        this.setResolutionEntry(modId, modName, { steamId: null }, this.ttls.notFoundTtl);
+    }
+
+    /**
+     * Удаляет результат поиска мода (например, если найденный мод оказался другим)
+     * @param {string|null} modId - packageId мода
+     * @param {string|null} modName - Название мода
+     */
+    removeResolution(modId, modName) {
+        const { resolutions } = this.load();
+        for (const key of this.getResolutionKeys(modId, modName)) {
+            if (resolutions[key]) {
+                delete resolutions[key];
+                this.isDirty = true;
+            }
+        }
+    }
+
+    /**
+     * Записывает результат поиска мода под всеми его ключами
+     * @param {string|null} modId - packageId мода
+     * @param {string|null} modName - Название мода
+     * @param {Object} value - Результат поиска
+     * @param {number} ttl - Срок действия записи (мс)
+     */
+    setResolutionEntry(modId, modName, value, ttl) {
+        const { resolutions } = this.load();
+        for (const key of this.getResolutionKeys(modId, modName)) {
+            resolutions[key] = { ...value, cachedAt: Date.now(), ttl };
+        }
+        this.isDirty = true;
+    }
+
+    /**
+     * Возвращает сохраненные сведения об элементе Steam Workshop
+     * @param {string} steamId - Steam ID элемента
+     * @returns {{title: string, timeUpdated: number|null, fileSize: number|null}|null}
+     */
+    getItem(steamId) {
+        const entry = this.load().items[steamId];
+        return this.isFresh(entry) ? entry : null;
+    }
+
+    /**
+     * Запоминает сведения об элементе Steam Workshop из ответа GetPublishedFileDetails или QueryFiles
+     * @param {Object} details - Сведения об элементе
+     */
+    setItem(details) {
+        if (details.result !== undefined && details.result !== 1) {
+            return;
+        }
+        this.load().items[String(details.publishedfileid)] = {
+            title: details.title || '',
+            timeUpdated: details.time_updated ?? null,
+            fileSize: details.file_size !== undefined ? Number(details.file_size) : null,
+            cachedAt: Date.now(),
+            ttl: this.ttls.itemTtl
+        };
+        this.isDirty = true;
+    }
+}
+
+module.exports = ResolutionCache;
@@ -1,10 +1,14 @@
 const fs = require('fs');
 const path = require('path');
 const config = require('./config');
+const { XmlStreamParser } = require('./xml_parser');
 
 class RimworldSaveReader {
-    constructor() {
-        this.saveFilePath = config.saveFilePath;
+    /**
+     * @param {string} [saveFilePath] - Путь к файлу сохранения (по умолчанию из config.js)
+     */
+    constructor(saveFilePath = config.saveFilePath) {
+        this.saveFilePath = saveFilePath;
         // ID официальных дополнений RimWorld
         this.officialDlcIds = [
             '1130216446', // Royalty
@@ -20,59 +24,163 @@ class RimworldSaveReader {
      * Проверяет, является ли мод официальным дополнением или ядром игры
      * @param {string} steamId - Steam ID мода
      * @param {string} modName - Название мода
+     * @param {string} [modId] - ID (packageId) мода
      * @returns {boolean}
      */
-    isOfficialMod(steamId, modName) {
+    isOfficialMod(steamId, modName, modId) {
         return this.officialDlcIds.includes(steamId) || 
-               this.coreModNames.some(name => modName?.toLowerCase() === name.toLowerCase());
+               this.coreModNames.some(name => modName?.toLowerCase() === name.toLowerCase()) ||
+               /^ludeon\.rimworld(\.|$)/i.test(modId || '');
     }
 
     /**
-     * Читает файл сохранения и извлекает список модов
-     * @returns {Promise<Array<[string, string, string]>>} Массив модов в формате [modId, steamId, modName]
+     * Читает секцию <meta> файла сохранения.
+     * Файл читается потоково, чтение прекращается сразу после закрытия секции <meta>
+     * @returns {Promise<{gameVersion: string|null, modIds: Array<string>, modSteamIds: Array<string>, modNames: Array<string>}>}
      */
-    async extractModList() {
+    async readMeta() {
+        const meta = { gameVersion: null, modIds: [], modSteamIds: [], modNames: [] };
+        // Путь от корневого элемента до текущего элемента, например ['savegame', 'meta', 'modIds', 'li']
+        const elementPath = [];
+        let text = '';
+        let metaComplete = false;
+
+        const parser = new XmlStreamParser({
+            onOpenTag: (name) => {
+                elementPath.push(name);
+                text = '';
+            },
+            onText: (value) => {
+                text += value;
+            },
+            onCloseTag: (name) => {
+                const inMeta = elementPath[1] === 'meta';
+                if (inMeta && elementPath.length === 3 && name === 'gameVersion') {
+                    meta.gameVersion = text.trim() || null;
+                }
+                // Списки modIds, modSteamIds и modNames
+                if (inMeta && elementPath.length === 4 && name === 'li' && Array.isArray(meta[elementPath[2]])) {
+                    meta[elementPath[2]].push(text.trim());
+                }
+
+                elementPath.pop();
+                if (name === 'meta' && elementPath.length === 1) {
+                    metaComplete = true;
+                    parser.stop();
+                }
+            }
+        });
+
+        const stream = fs.createReadStream(this.saveFilePath, { encoding: 'utf8', highWaterMark: 64 * 1024 });
         try {
-            const saveContent = await fs.promises.readFile(this.saveFilePath, 'utf8');
-            const mods = [];
-
-            // Ищем секцию с ID модов
-            const modIdsMatch = saveContent.match(/<modIds>(.*?)<\/modIds>/s);
-            if (modIdsMatch) {
-                const modIdsContent = modIdsMatch[1];
-                const modIds = modIdsContent.match(/<li>([^<]+)<\/li>/g)?.map(id => id.replace(/<\/?li>/g, '')) || [];
-                
-                // Ищем секцию с Steam ID модов
-                const modSteamIdsMatch = saveContent.match(/<modSteamIds>(.*?)<\/modSteamIds>/s);
-                const modSteamIds = modSteamIdsMatch ? 
-                    modSteamIdsMatch[1].match(/<li>(\d+)<\/li>/g)?.map(id => id.replace(/<\/?li>/g, '')) || [] : 
-                    [];
-
-                // Ищем секцию с названиями модов
-                const modNamesMatch = saveContent.match(/<modNames>(.*?)<\/modNames>/s);
-                const modNames = modNamesMatch ? 
-                    modNamesMatch[1].match(/<li>([^<]+)<\/li>/g)?.map(name => name.replace(/<\/?li>/g, '')) || [] : 
-                    [];
-                // Собираем все моды в единый массив
-                for (let i = 0; i < modIds.length; i++) {
-                    const modId = modIds[i];
-                    const steamId = modSteamIds[i] || '0';
-                    const modName = modNames[i] || modId;
-
-                    // Пропускаем официальные DLC и ядро игры
-                    if (this.isOfficialMod(steamId, modName)) {
-                        console.log(`Пропускаем ${modName} (${steamId}) - это официальный DLC или ядро игры`);
-                        continue;
-                    }
-                    mods.push([modId, steamId, modName]);
-                    // Пропускаем дубликаты
-                   // if (!mods.some(m => m[0] === modId || m[1] === steamId)) {
-                    //    mods.push([modId, steamId, modName]);
-                    //}
+            for await (const chunk of stream) {
+                parser.write(chunk);
+                if (metaComplete) {
+                    // Выход из цикла закрывает поток, остаток файла не читается
+                    break;
                 }
             }
+            if (!metaComplete) {
+                parser.end();
+            }
+        } catch (error) {
+            // Ошибки файловой системы (нет файла, нет доступа) передаем как есть
+            if (error.code) {
+                throw error;
+            }
+            throw new Error(`Файл сохранения ${this.saveFilePath} поврежден или обрезан: ${error.message}`);
+        }
+
+        if (!metaComplete) {
+            throw new Error(`Файл сохранения ${this.saveFilePath} не содержит секции <meta>`);
+        }
+        return meta;
+    }
+
+    /**
+     * Преобразует списки из секции <meta> в массив модов, пропуская официальные DLC и ядро игры
+     * @param {{modIds: Array<string>, modSteamIds: Array<string>, modNames: Array<string>}} meta - Списки модов
+     * @returns {Array<[string, string, string]>} Массив модов в формате [modId, steamId, modName]
+     */
+    toModList(meta) {
+        return this.splitModList(meta).mods;
+    }
+
+    /**
+     * Разделяет списки из секции <meta> на моды и пропускаемые официальные DLC и ядро игры.
+     * Сообщения о пропущенных модах выводит вызывающий код
+     * @param {{modIds: Array<string>, modSteamIds: Array<string>, modNames: Array<string>}} meta - Списки модов
+     * @returns {{mods: Array<[string, string, string]>, skippedMods: Array<[string, string, string]>}} Моды в формате [modId, steamId, modName]
+     */
+    splitModList({ modIds, modSteamIds, modNames }) {
+        const mods = [];
+        const skippedMods = [];
+
+        // Собираем все моды в единый массив
+        for (let i = 0; i < modIds.length; i++) {
+            const modId = modIds[i];
+            const steamId = modSteamIds[i] || '0';
+            const modName = modNames[i] || modId;
+
+            // Пропускаем официальные DLC и ядро игры
+            if (this.isOfficialMod(steamId, modName, modId)) {
+                skippedMods.push([modId, steamId, modName]);
+                continue;
+            }
+            mods.push([modId, steamId, modName]);
+            // Пропускаем дубликаты
+           // if (!mods.some(m => m[0] === modId || m[1] === steamId)) {
+            //    mods.push([modId, steamId, modName]);
+            //}
+        }
+
+        return { mods, skippedMods };
+    }
+
+    /**
+     * Находит все сохранения в папке Saves и читает их заголовки
+     * @param {string} [savesDirectory] - Папка сохранений (по умолчанию из config.js)
+     * @returns {Promise<Array<{name: string, filePath: string, modified: Date, gameVersion: string|null, modCount: number, error: string|null}>>}
+     *          Сохранения от новых к старым; для поврежденных сохранений заполняется error
+     */
+    static async listSaves(savesDirectory = config.savesDirectory) {
+        if (!fs.existsSync(savesDirectory)) {
+            throw new Error(`Папка сохранений не найдена: ${savesDirectory}. Укажите путь через --saves-dir`);
+        }
+
+        const saves = [];
+        const entries = await fs.promises.readdir(savesDirectory, { withFileTypes: true });
+        for (const entry of entries.filter(candidate => candidate.isFile() && path.extname(candidate.name).toLowerCase() === '.rws')) {
+            const filePath = path.join(savesDirectory, entry.name);
+            const save = {
+                name: path.basename(entry.name, path.extname(entry.name)),
+                filePath,
+                modified: (await fs.promises.stat(filePath)).mtime,
+                gameVersion: null,
+                modCount: 0,
+                error: null
+            };
+
+            try {
+                const meta = await new RimworldSaveReader(filePath).readMeta();
+                save.gameVersion = meta.gameVersion;
+                save.modCount = meta.modIds.length;
+            } catch (error) {
+                save.error = error.message;
+            }
+            saves.push(save);
+        }
+
+        return saves.sort((a, b) => b.modified - a.modified);
+    }
 
-            return mods;
+    /**
+     * Читает файл сохранения и извлекает список модов
+     * @returns {Promise<Array<[string, string, string]>>} Массив модов в формате [modId, steamId, modName]
+     */
+    async extractModList() {
+        try {
+            return this.toModList(await this.readMeta());
         } catch (error) {
             console.error('Ошибка при чтении файла сохранения:', error);
             throw error;
@@ -0,0 +1,294 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const errorLogger = require('./error_logger');
+
+/**
+ * Запись отчета о моде
+ * @typedef {Object} ModReportEntry
+ * @property {string} modId - packageId мода
+ * @property {string} steamId - Steam ID мода после поиска или сопоставления ('0', если не найден)
+ * @property {string} modName - Название мода
+ * @property {string|null} resolvedBy - Откуда взят Steam ID: list (список модов), override (файл сопоставлений), search (поиск по названию),
+ *           local (установленный мод с тем же packageId)
+ * @property {number|null} confidence - Уверенность поиска по названию (0-1)
+ * @property {string} action - Действие (см. REPORT_ACTIONS)
+ * @property {number|null} durationMs - Длительность загрузки и установки мода (для модов одной сессии SteamCMD - от начала сессии)
+ * @property {number|null} bytes - Размер установленного мода
+ * @property {string|null} category - Категория ошибки (см. DownloadCategory)
+ * @property {string|null} error - Текст ошибки
+ * @property {string|null} steamCmdExcerpt - Фрагмент вывода SteamCMD, относящийся к моду
+ * @property {string|null} source - Источник, из которого получен мод (steamcmd, mirror, http)
+ * @property {Array<string>|null} supportedVersions - Поддерживаемые версии игры, если мод может быть несовместим
+ * @property {boolean} dependency - Мод загружен как зависимость
+ */
+
+// Действия с модами и их описания в отчете
+const REPORT_ACTIONS = {
+    core: 'ядро игры, пропущен',
+    installed: 'уже установлен',
+    missing: 'отсутствует',
+    not_found: 'не найден в Steam Workshop',
+    copied: 'установлен из директории SteamCMD',
+    relinked: 'ссылка на директорию SteamCMD восстановлена',
+    downloaded: 'загружен',
+    mirrored: 'установлен из зеркала',
+    updated: 'обновлен',
+    up_to_date: 'актуален',
+    unavailable: 'недоступен в Steam Workshop',
+    failed: 'ошибка',
+    cancelled: 'загрузка отменена'
+};
+
+/**
+ * Отчет о запуске: что сделано с каждым модом.
+ * При каждом изменении записи о моде генерируется событие 'record' с обновленной записью
+ */
+class RunReport extends EventEmitter {
+    /**
+     * @param {string} modsDirectory - Директория модов
+     * @param {string} [runId] - ID запуска (по умолчанию ID из журнала)
+     */
+    constructor(modsDirectory, runId = errorLogger.runId) {
+        super();
+        this.runId = runId;
+        this.modsDirectory = modsDirectory;
+        this.command = null;
+        this.startedAt = new Date();
+        this.finishedAt = null;
+        /** @type {Map<string, ModReportEntry>} */
+        this.entries = new Map();
+    }
+
+    /**
+     * Добавляет или дополняет запись о моде
+     * @param {[string, string, string]} mod - Мод в формате [modId, steamId, modName]
+     * @param {Partial<ModReportEntry>} fields - Поля записи
+     */
+    record(mod, fields) {
+        const [modId, steamId, modName] = mod;
+        const key = (modId || steamId).toLowerCase();
+        const entry = this.entries.get(key) || {
+            modId,
+            steamId,
+            modName,
+            resolvedBy: null,
+            confidence: null,
+            action: null,
+            durationMs: null,
+            bytes: null,
+            category: null,
+            error: null,
+            steamCmdExcerpt: null,
+            source: null,
+            supportedVersions: null,
+            dependency: false
+        };
+        const updated = { ...entry, steamId, ...fields };
+        this.entries.set(key, updated);
+        this.emit('record', updated);
+    }
+
+    /**
+     * Завершает отчет
+     * @returns {RunReport}
+     */
+    finish() {
+        this.finishedAt = new Date();
+        return this;
+    }
+
+    /**
+     * Возвращает данные отчета
+     * @returns {{runId: string, command: string|null, modsDirectory: string, startedAt: string, finishedAt: string|null,
+     *     durationMs: number|null, summary: Object<string, number>, mods: Array<ModReportEntry>}}
+     */
+    toJSON() {
+        const mods = [...this.entries.values()];
+        const summary = {};
+        mods.forEach(mod => {
+            summary[mod.action] = (summary[mod.action] || 0) + 1;
+        });
+
+        return {
+            runId: this.runId,
+            command: this.command,
+            modsDirectory: this.modsDirectory,
+            startedAt: this.startedAt.toISOString(),
+            finishedAt: this.finishedAt ? this.finishedAt.toISOString() : null,
+            durationMs: this.finishedAt ? this.finishedAt - this.startedAt : null,
+            summary,
+            mods
+        };
+    }
+}
+
+/**
+ * Форматирует длительность для отчета
+ * @param {number|null} durationMs - Длительность в миллисекундах
+ * @returns {string}
+ */
+function formatDuration(durationMs) {
+    return durationMs === null ? '' : `${(durationMs / 1000).toFixed(1)} с`;
+}
+
+/**
+ * Формирует строки таблицы модов для отчета
+ * @param {Object} data - Данные отчета (RunReport.toJSON)
+ * @returns {Array<Array<string>>}
+ */
+function getReportRows(data) {
+    return data.mods.map(mod => [
+        mod.modName,
+        mod.modId,
+        mod.steamId,
+        [mod.resolvedBy, mod.confidence !== null ? `${Math.round(mod.confidence * 100)}%` : null].filter(Boolean).join(', '),
+        `${REPORT_ACTIONS[mod.action] || mod.action}${mod.dependency ? ' (зависимость)' : ''}`,
+        formatDuration(mod.durationMs),
+        mod.bytes === null ? '' : String(mod.bytes),
+        [mod.category, mod.error, mod.supportedVersions ? `поддерживает ${mod.supportedVersions.join(', ') || 'версии не указаны'}` : null]
+            .filter(Boolean).join(': '),
+        mod.steamCmdExcerpt || ''
+    ]);
+}
+
+// Заголовки столбцов таблицы модов
+const REPORT_COLUMNS = ['Мод', 'packageId', 'Steam ID', 'Источник ID', 'Действие', 'Длительность', 'Байт', 'Ошибка', 'Вывод SteamCMD'];
+
+/**
+ * Формирует отчет в формате JSON
+ * @param {Object} data - Данные отчета (RunReport.toJSON)
+ * @returns {string}
+ */
+function formatJsonReport(data) {
+    return `${JSON.stringify(data, null, 2)}\n`;
+}
+
+/**
+ * Формирует отчет в формате Markdown
+ * @param {Object} data - Данные отчета (RunReport.toJSON)
+ * @returns {string}
+ */
+function formatMarkdownReport(data) {
+    const escapeCell = value => value.replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+    const lines = [
+        `# Отчет о запуске ${data.runId}`,
+        '',
+        `- Команда: ${data.command || 'не указана'}`,
+        `- Директория модов: ${data.modsDirectory}`,
+        `- Начало: ${data.startedAt}`,
+        `- Длительность: ${formatDuration(data.durationMs)}`,
+        '',
+        '## Итоги',
+        '',
+        ...Object.entries(data.summary).map(([action, count]) => `- ${REPORT_ACTIONS[action] || action}: ${count}`),
+        '',
+        '## Моды',
+        '',
+        `| ${REPORT_COLUMNS.join(' | ')} |`,
+        `|${REPORT_COLUMNS.map(() => '---').join('|')}|`,
+        ...getReportRows(data).map(row => `| ${row.map(escapeCell).join(' | ')} |`),
+        ''
+    ];
+    return lines.join('\n');
+}
+
+/**
+ * Формирует отчет в виде самостоятельной HTML-страницы
+ * @param {Object} data - Данные отчета (RunReport.toJSON)
+ * @returns {string}
+ */
+function formatHtmlReport(data) {
+    const escapeHtml = value => String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+    const failedActions = new Set(['failed', 'not_found', 'unavailable', 'cancelled']);
+
+    const summary = Object.entries(data.summary)
+        .map(([action, count]) => `<li>${escapeHtml(REPORT_ACTIONS[action] || action)}: ${count}</li>`)
+        .join('\n');
+    const rows = getReportRows(data).map((row, index) => {
+        const rowClass = failedActions.has(data.mods[index].action) ? ' class="failed"' : '';
+        const cells = row.map((cell, column) => (column === row.length - 1 && cell ?
+            `<td><pre>${escapeHtml(cell)}</pre></td>` :
+            `<td>${escapeHtml(cell)}</td>`));
+        return `<tr${rowClass}>${cells.join('')}</tr>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="ru">
+<head>
+<meta charset="utf-8">
+<title>Отчет о запуске ${escapeHtml(data.runId)}</title>
+<style>
+body { font-family: sans-serif; margin: 2em; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; }
+th { background: #eee; }
+tr.failed { background: #fdd; }
+pre { margin: 0; white-space: pre-wrap; font-size: 0.85em; }
+</style>
+</head>
+<body>
+<h1>Отчет о запуске ${escapeHtml(data.runId)}</h1>
+<p>Команда: ${escapeHtml(data.command || 'не указана')}<br>
+Директория модов: ${escapeHtml(data.modsDirectory)}<br>
+Начало: ${escapeHtml(data.startedAt)}<br>
+Длительность: ${escapeHtml(formatDuration(data.durationMs))}</p>
+<h2>Итоги</h2>
+<ul>
+${summary}
+</ul>
+<h2>Моды</h2>
+<table>
+<tr>${REPORT_COLUMNS.map(column => `<th>${escapeHtml(column)}</th>`).join('')}</tr>
+${rows}
+</table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Форматы отчета: расширения файлов и функция форматирования
+ */
+const REPORT_FORMATS = {
+    json: { extensions: ['.json'], format: formatJsonReport },
+    markdown: { extensions: ['.md', '.markdown'], format: formatMarkdownReport },
+    html: { extensions: ['.html', '.htm'], format: formatHtmlReport }
+};
+
+/**
+ * Определяет формат отчета по расширению файла
+ * @param {string} filePath - Путь к файлу отчета
+ * @returns {string} Имя формата
+ */
+function getReportFormat(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    const name = Object.keys(REPORT_FORMATS).find(formatName => REPORT_FORMATS[formatName].extensions.includes(extension));
+    if (!name) {
+        const extensions = Object.values(REPORT_FORMATS).flatMap(format => format.extensions);
+        throw new Error(`Неизвестный формат отчета ${filePath}. Поддерживаемые расширения: ${extensions.join(', ')}`);
+    }
+    return name;
+}
+
+/**
+ * Записывает отчет в файл; формат определяется по расширению
+ * @param {string} filePath - Путь к файлу отчета
+ * @param {RunReport} report - Отчет
+ */
+async function writeRunReport(filePath, report) {
+    const content = REPORT_FORMATS[getReportFormat(filePath)].format(report.toJSON());
+    await fs.promises.writeFile(filePath, content, 'utf8');
+}
+
+module.exports = {
+    REPORT_ACTIONS,
+    REPORT_FORMATS,
+    RunReport,
+    getReportFormat,
+    writeRunReport
+};
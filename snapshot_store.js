@@ -0,0 +1,285 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const errorLogger = require('./error_logger');
+const { pathExists, getLinkTarget, isBrokenLink, placeModDirectory } = require('./install_strategy');
+
+/**
+ * Снимок мода, сделанный перед его установкой
+ * @typedef {Object} ModSnapshot
+ * @property {string} steamId - Steam ID мода
+ * @property {boolean} hadPrevious - Был ли мод установлен до запуска (если нет, откат удаляет мод)
+ * @property {Object|null} previousRecord - Запись об установке мода до запуска
+ */
+
+/**
+ * Запуск программы, в котором устанавливались моды
+ * @typedef {Object} InstallRun
+ * @property {string} runId - ID запуска
+ * @property {string} modsDirectory - Директория модов
+ * @property {string} createdAt - Время запуска (ISO)
+ * @property {Array<ModSnapshot>} mods - Установленные моды в порядке установки
+ */
+
+/**
+ * Перемещает директорию; между разными дисками - копированием с последующим удалением
+ * @param {string} source - Исходная директория
+ * @param {string} target - Новое расположение
+ */
+function moveDirectory(source, target) {
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    try {
+        fs.renameSync(source, target);
+    } catch (error) {
+        if (error.code !== 'EXDEV') {
+            throw error;
+        }
+        fs.cpSync(source, target, { recursive: true });
+        fs.rmSync(source, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Поэтапная установка модов со снимками предыдущих версий и откатом запусков.
+ * Мод сначала размещается во временной директории рядом с директорией модов (копией или ссылками, см. installStrategy),
+ * затем подменяет старую версию переименованием; старая версия переносится в снимок запуска.
+ * Если старая версия - символическая ссылка, источник обновляет директорию, на которую она указывает, на месте,
+ * поэтому содержимое этой директории копируется в снимок до загрузки (см. preserveLinkedMod)
+ */
+class SnapshotStore {
+    /**
+     * @param {string} modsDirectory - Директория модов
+     * @param {string} [snapshotsDirectory] - Директория снимков (по умолчанию в config.stateDirectory)
+     * @param {number} [retention] - Количество хранимых запусков (по умолчанию config.snapshotRetention)
+     */
+    constructor(modsDirectory, snapshotsDirectory = path.join(config.stateDirectory, 'snapshots'), retention = config.snapshotRetention) {
+        this.modsDirectory = path.resolve(modsDirectory);
+        this.snapshotsDirectory = snapshotsDirectory;
+        this.retention = retention;
+        this.runId = null;
+    }
+
+    /**
+     * Возвращает ID текущего запуска, создавая запуск при первой установке.
+     * ID совпадает с ID запуска в журнале и отчете
+     * @returns {string}
+     */
+    getRunId() {
+        if (!this.runId) {
+            this.runId = errorLogger.runId;
+            this.writeRun({ runId: this.runId, modsDirectory: this.modsDirectory, createdAt: new Date().toISOString(), mods: [] });
+            this.pruneOldRuns();
+        }
+        return this.runId;
+    }
+
+    /**
+     * Путь к описанию запуска
+     * @param {string} runId - ID запуска
+     * @returns {string}
+     */
+    getRunFile(runId) {
+        return path.join(this.snapshotsDirectory, runId, 'run.json');
+    }
+
+    /**
+     * Читает описание запуска
+     * @param {string} runId - ID запуска
+     * @returns {InstallRun|null}
+     */
+    readRun(runId) {
+        const runFile = this.getRunFile(runId);
+        if (!fs.existsSync(runFile)) {
+            return null;
+        }
+        return JSON.parse(fs.readFileSync(runFile, 'utf8'));
+    }
+
+    /**
+     * Сохраняет описание запуска
+     * @param {InstallRun} run - Запуск
+     */
+    writeRun(run) {
+        const runFile = this.getRunFile(run.runId);
+        fs.mkdirSync(path.dirname(runFile), { recursive: true });
+        fs.writeFileSync(runFile, `${JSON.stringify(run, null, 2)}\n`, 'utf8');
+    }
+
+    /**
+     * Возвращает запуски для текущей директории модов, от старых к новым
+     * @returns {Array<InstallRun>}
+     */
+    listRuns() {
+        if (!fs.existsSync(this.snapshotsDirectory)) {
+            return [];
+        }
+        return fs.readdirSync(this.snapshotsDirectory)
+            .sort()
+            .map(runId => this.readRun(runId))
+            .filter(run => run && run.modsDirectory === this.modsDirectory);
+    }
+
+    /**
+     * Удаляет самые старые запуски сверх количества хранимых запусков
+     */
+    pruneOldRuns() {
+        const runs = this.listRuns();
+        for (const run of runs.slice(0, Math.max(runs.length - this.retention, 0))) {
+            fs.rmSync(path.join(this.snapshotsDirectory, run.runId), { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Копирует в снимок текущего запуска содержимое директории, на которую указывает установленный ссылкой мод.
+     * Вызывается до загрузки новой версии: SteamCMD и зеркала обновляют эту директорию на месте, и после загрузки
+     * ссылка в снимке указывала бы уже на новую версию. Откат восстанавливает мод копией, а не ссылкой
+     * @param {string} steamId - Steam ID мода
+     * @param {Object|null} previousRecord - Запись об установке мода до обновления
+     * @returns {boolean} Содержимое скопировано (false, если мод не установлен ссылкой или снимок уже есть)
+     */
+    preserveLinkedMod(steamId, previousRecord) {
+        const targetPath = path.join(this.modsDirectory, steamId);
+        if (!getLinkTarget(targetPath) || isBrokenLink(targetPath)) {
+            return false;
+        }
+
+        const runId = this.getRunId();
+        const run = this.readRun(runId);
+        if (run.mods.some(snapshot => snapshot.steamId === steamId)) {
+            return false;
+        }
+        fs.cpSync(fs.realpathSync(targetPath), path.join(this.snapshotsDirectory, runId, steamId), { recursive: true });
+        run.mods.push({ steamId, hadPrevious: true, previousRecord });
+        this.writeRun(run);
+        return true;
+    }
+
+    /**
+     * Устанавливает мод поэтапно: размещает его во временной директории и подменяет установленную версию.
+     * Предыдущая версия (в том числе битая ссылка) сохраняется в снимок текущего запуска
+     * @param {string} steamId - Steam ID мода
+     * @param {string} sourcePath - Директория загруженного мода
+     * @param {Object|null} previousRecord - Запись об установке мода до обновления
+     * @param {string} [strategy] - Способ установки (см. INSTALL_STRATEGIES)
+     * @returns {string|null} Предупреждение о замене способа установки (см. placeModDirectory)
+     */
+    installMod(steamId, sourcePath, previousRecord, strategy = 'copy') {
+        const runId = this.getRunId();
+        const targetPath = path.join(this.modsDirectory, steamId);
+        const stagingPath = path.join(this.modsDirectory, `.staging-${steamId}-${process.pid}`);
+        const previousPath = path.join(this.modsDirectory, `.previous-${steamId}-${process.pid}`);
+
+        fs.mkdirSync(this.modsDirectory, { recursive: true });
+        fs.rmSync(stagingPath, { recursive: true, force: true });
+        let warning;
+        try {
+            warning = placeModDirectory(sourcePath, stagingPath, strategy);
+        } catch (error) {
+            fs.rmSync(stagingPath, { recursive: true, force: true });
+            throw error;
+        }
+
+        const hadPrevious = pathExists(targetPath);
+        if (hadPrevious) {
+            fs.renameSync(targetPath, previousPath);
+        }
+        try {
+            fs.renameSync(stagingPath, targetPath);
+        } catch (error) {
+            // Возвращаем предыдущую версию на место
+            if (hadPrevious) {
+                fs.renameSync(previousPath, targetPath);
+            }
+            fs.rmSync(stagingPath, { recursive: true, force: true });
+            throw error;
+        }
+
+        // Снимок делается только перед первой установкой мода в этом запуске
+        const run = this.readRun(runId);
+        if (run.mods.some(snapshot => snapshot.steamId === steamId)) {
+            fs.rmSync(previousPath, { recursive: true, force: true });
+            return warning;
+        }
+        if (hadPrevious) {
+            moveDirectory(previousPath, path.join(this.snapshotsDirectory, runId, steamId));
+        }
+        run.mods.push({ steamId, hadPrevious, previousRecord });
+        this.writeRun(run);
+        return warning;
+    }
+
+    /**
+     * Возвращает мод к состоянию из снимка
+     * @param {string} runId - ID запуска
+     * @param {ModSnapshot} snapshot - Снимок мода
+     */
+    restoreSnapshot(runId, snapshot) {
+        const targetPath = path.join(this.modsDirectory, snapshot.steamId);
+        const removedPath = path.join(this.modsDirectory, `.rollback-${snapshot.steamId}-${process.pid}`);
+
+        if (pathExists(targetPath)) {
+            fs.renameSync(targetPath, removedPath);
+        }
+        if (snapshot.hadPrevious) {
+            moveDirectory(path.join(this.snapshotsDirectory, runId, snapshot.steamId), targetPath);
+        }
+        fs.rmSync(removedPath, { recursive: true, force: true });
+    }
+
+    /**
+     * Откатывает запуск и все более поздние запуски, возвращая директорию модов к состоянию до него
+     * @param {string} runId - ID запуска
+     * @returns {Array<{runId: string, snapshot: ModSnapshot}>} Восстановленные моды
+     */
+    rollbackRun(runId) {
+        const runs = this.listRuns();
+        const index = runs.findIndex(run => run.runId === runId);
+        if (index === -1) {
+            throw new Error(`Запуск ${runId} не найден в ${this.snapshotsDirectory}`);
+        }
+
+        const restored = [];
+        for (const run of runs.slice(index).reverse()) {
+            for (const snapshot of [...run.mods].reverse()) {
+                this.restoreSnapshot(run.runId, snapshot);
+                restored.push({ runId: run.runId, snapshot });
+            }
+            fs.rmSync(path.join(this.snapshotsDirectory, run.runId), { recursive: true, force: true });
+        }
+        return restored;
+    }
+
+    /**
+     * Проверяет, есть ли снимки мода в папке с таким именем
+     * @param {string} steamId - Имя папки мода (Steam ID или packageId мода без Steam ID)
+     * @returns {boolean}
+     */
+    hasModSnapshots(steamId) {
+        return this.listRuns().some(run => run.mods.some(snapshot => snapshot.steamId === steamId));
+    }
+
+    /**
+     * Откатывает последнее изменение одного мода
+     * @param {string} steamId - Steam ID мода
+     * @returns {{runId: string, snapshot: ModSnapshot}}
+     */
+    rollbackMod(steamId) {
+        const run = this.listRuns().reverse().find(candidate => candidate.mods.some(snapshot => snapshot.steamId === steamId));
+        if (!run) {
+            throw new Error(`Нет снимков мода ${steamId} для директории ${this.modsDirectory}`);
+        }
+
+        const snapshot = run.mods.find(candidate => candidate.steamId === steamId);
+        this.restoreSnapshot(run.runId, snapshot);
+
+        run.mods = run.mods.filter(candidate => candidate !== snapshot);
+        if (run.mods.length > 0) {
+            this.writeRun(run);
+        } else {
+            fs.rmSync(path.join(this.snapshotsDirectory, run.runId), { recursive: true, force: true });
+        }
+        return { runId: run.runId, snapshot };
+    }
+}
+
+module.exports = SnapshotStore;
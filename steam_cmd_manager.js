@@ -1,20 +1,185 @@
 const { exec } = require('child_process');
+const crypto = require('crypto');
 const path = require('path');
 const fs = require('fs');
-const https = require('https');
+const os = require('os');
+const EventEmitter = require('events');
 const config = require('./config');
 const errorLogger = require('./error_logger');
+const { DownloadCategory, getRetryDelay } = require('./steam_cmd_output_parser');
+const { readModAbout, supportsGameVersion } = require('./mod_about_reader');
+const SteamWebApi = require('./steam_web_api');
+const { rankCandidates, parsePackageIdFromMetadata } = require('./mod_search');
+const ResolutionCache = require('./resolution_cache');
+const ModOverrides = require('./mod_overrides');
+const InstallRecord = require('./install_record');
+const SnapshotStore = require('./snapshot_store');
+const { InstalledModIndex, normalizePackageId } = require('./installed_mod_index');
+const { parseVdf } = require('./vdf_parser');
+const { RunReport } = require('./run_report');
+const { VerifyStatus, VERIFY_STATUS_LABELS, verifyModDirectory } = require('./mod_verifier');
+const { INSTALL_STRATEGIES, getLinkTarget, isBrokenLink } = require('./install_strategy');
+const { createModSources } = require('./mod_sources');
+const { getSteamCmdDirectory } = require('./path_detector');
 
-class SteamCmdManager {
-    constructor() {
-        this.steamCmdPath = config.steamCmdPath;
-        this.rimworldAppId = config.rimworldAppId;
-        this.modsDirectory = config.modsDirectory;
-        this.steamCmdDir = path.dirname(this.steamCmdPath);
+/**
+ * Узел дерева зависимостей
+ * @typedef {Object} DependencyNode
+ * @property {string} packageId - packageId мода
+ * @property {string} name - Название мода
+ * @property {string|null} steamId - Steam ID мода
+ * @property {'root'|'listed'|'installed'|'downloaded'|'failed'|'unresolved'} status - Состояние зависимости
+ * @property {Array<DependencyNode>} dependencies - Зависимости мода
+ */
+
+// Описания состояний зависимостей для отчета
+const DEPENDENCY_STATUS_LABELS = {
+    listed: 'в списке модов',
+    installed: 'уже установлен',
+    downloaded: 'загружен',
+    failed: 'ошибка загрузки',
+    unresolved: 'нет ссылки на Steam Workshop'
+};
+
+// Описания причин удаления и сохранения модов в отчете prune
+const PRUNE_REASON_LABELS = {
+    referenced: 'используется',
+    unreferenced: 'не используется',
+    duplicate: 'копия установленного мода в директории SteamCMD',
+    linked: 'на мод ссылается установленный мод',
+    stray: 'служебная директория загрузки SteamCMD',
+    leftover: 'остаток прерванной установки',
+    unknown: 'нет About.xml, пропущен'
+};
+
+/**
+ * Форматирует размер в байтах для вывода
+ * @param {number} size - Размер в байтах
+ * @returns {string}
+ */
+function formatSize(size) {
+    const units = ['Б', 'КБ', 'МБ', 'ГБ'];
+    let value = size;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${unit === 0 ? value : value.toFixed(2)} ${units[unit]}`;
+}
+
+/**
+ * Настройки менеджера. Не указанные поля берутся из config.js
+ * @typedef {Object} ManagerOptions
+ * @property {string} [steamCmdPath] - Путь к SteamCMD
+ * @property {string} [modsDirectory] - Директория модов
+ * @property {string} [rimworldAppId] - ID игры RimWorld в Steam
+ * @property {string} [steamLogin] - Логин для Steam
+ * @property {string} [installStrategy] - Способ установки модов: copy, symlink, hardlink
+ * @property {Array<string>} [modSources] - Источники модов в порядке приоритета: steamcmd, mirror, http
+ * @property {string} [mirrorDirectory] - Директория локального зеркала модов (источник mirror)
+ * @property {string} [mirrorUrl] - Адрес HTTP-зеркала модов (источник http)
+ * @property {Object} [modSearch] - Настройки поиска модов по названию (поля как в config.js)
+ * @property {string} [steamApiBaseUrl] - Базовый адрес Steam Web API
+ * @property {string} [steamApiKey] - Ключ Steam Web API
+ * @property {Object} [resolutionCache] - Путь и сроки хранения кэша поиска (поля как в config.js)
+ * @property {string} [overridesPath] - Файл ручных сопоставлений Steam ID
+ * @property {string} [stateDirectory] - Директория записей об установке и снимков для отката
+ * @property {number} [snapshotRetention] - Количество запусков, для которых хранятся снимки
+ * @property {string} [outputDirectory] - Директория файлов missing_mods.txt, not_found_mods.txt, incompatible_mods.txt
+ * @property {string} [logPath] - Файл журнала (по умолчанию config.log.path)
+ * @property {{log: Function, warn: Function, error: Function}} [logger] - Вывод сообщений (по умолчанию console)
+ * @property {function(Array<[string, string, string]>): Promise<boolean>} [confirm] - Запрос подтверждения загрузки
+ *           (без него моды загружаются только с параметром assumeYes)
+ */
+
+/**
+ * Дополняет настройки менеджера значениями из config.js
+ * @param {ManagerOptions} options - Настройки
+ * @returns {Object}
+ */
+function resolveManagerOptions(options) {
+    return {
+        ...config,
+        outputDirectory: __dirname,
+        logPath: null,
+        logger: console,
+        confirm: null,
+        ...options,
+        modSearch: { ...config.modSearch, ...options.modSearch },
+        resolutionCache: { ...config.resolutionCache, ...options.resolutionCache }
+    };
+}
+
+/**
+ * Преобразует мод в объект для событий
+ * @param {[string, string, string]} mod - Мод в формате [modId, steamId, modName]
+ * @returns {{modId: string, steamId: string, modName: string}}
+ */
+function modToEvent([modId, steamId, modName]) {
+    return { modId, steamId, modName };
+}
+
+/**
+ * Возвращает имя папки мода в директории модов: Steam ID, а для мода без Steam ID,
+ * полученного из зеркала по packageId, - packageId
+ * @param {[string, string, string]} mod - Мод в формате [modId, steamId, modName]
+ * @returns {string}
+ */
+function getModFolder([modId, steamId]) {
+    return steamId === '0' ? normalizePackageId(modId) : steamId;
+}
+
+/**
+ * Менеджер загрузки и установки модов через SteamCMD.
+ * События:
+ * - 'resolve' - определен Steam ID мода ({modId, modName, steamId, resolvedBy, confidence}; steamId - null, если мод не найден)
+ * - 'download:start' - начата попытка получения модов из источника ({source, mods, attempt})
+ * - 'download:progress' - получен результат загрузки мода ({mod, success, skipped, category, error, completed, total})
+ * - 'download:done' - загрузка завершена (результат downloadMods)
+ * - 'error' - ошибка поиска, загрузки или установки мода (Error с полями modId, steamId, modName, category);
+ *   генерируется, только если на него подписаны
+ * - 'mod' - изменилась запись о моде в отчете о запуске (ModReportEntry)
+ * - 'steamcmd-output' - фрагмент вывода SteamCMD (строка) во время загрузки
+ */
+class SteamCmdManager extends EventEmitter {
+    /**
+     * @param {ManagerOptions} [options] - Настройки (по умолчанию из config.js)
+     */
+    constructor(options = {}) {
+        super();
+        this.options = resolveManagerOptions(options);
+        this.logger = this.options.logger;
+        this.errorLogger = this.options.logPath ? errorLogger.forFile(this.options.logPath) : errorLogger;
+        this.steamCmdPath = this.options.steamCmdPath;
+        this.rimworldAppId = this.options.rimworldAppId;
+        this.modsDirectory = this.options.modsDirectory;
+        this.steamCmdDir = getSteamCmdDirectory(this.steamCmdPath);
         this.workshopDir = path.join(this.steamCmdDir, 'steamapps', 'workshop', 'content', this.rimworldAppId);
-        this.steamLogin = config.steamLogin;
-        this.missingModsFile = path.join(__dirname, 'missing_mods.txt');
-        this.notFoundModsFile = path.join(__dirname, 'not_found_mods.txt');
+        this.steamLogin = this.options.steamLogin;
+        this.installStrategy = this.options.installStrategy;
+        this.missingModsFile = path.join(this.options.outputDirectory, 'missing_mods.txt');
+        this.notFoundModsFile = path.join(this.options.outputDirectory, 'not_found_mods.txt');
+        this.incompatibleModsFile = path.join(this.options.outputDirectory, 'incompatible_mods.txt');
+        this.resolutionCache = new ResolutionCache(this.options.resolutionCache.path, this.options.resolutionCache, this.logger);
+        this.overrides = new ModOverrides(this.options.overridesPath);
+        this.installRecord = new InstallRecord(this.modsDirectory, path.join(this.options.stateDirectory, 'installed_mods.json'), this.logger);
+        this.snapshots = new SnapshotStore(this.modsDirectory, path.join(this.options.stateDirectory, 'snapshots'), this.options.snapshotRetention);
+        this.report = new RunReport(this.modsDirectory);
+        this.report.on('record', entry => this.emit('mod', entry));
+        this.sources = createModSources(this);
+        this.installedModIndex = null;
+    }
+
+    /**
+     * Генерирует событие 'error', если на него подписаны (EventEmitter без подписчиков завершил бы процесс)
+     * @param {string|Error} error - Ошибка
+     * @param {Object} [fields] - Поля ошибки (modId, steamId, modName, category)
+     */
+    emitError(error, fields = {}) {
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', Object.assign(error instanceof Error ? error : new Error(error), fields));
+        }
     }
 
     /**
@@ -47,71 +212,125 @@ class SteamCmdManager {
     }
 
     /**
-     * Ищет мод по названию в Steam Workshop
+     * Ищет мод по названию в Steam Workshop через IPublishedFileService/QueryFiles.
+     * Кандидаты оцениваются по сходству названия, автору и packageId из метаданных элемента
      * @param {string} modName - Название мода
-     * @returns {Promise<string|null>} ID мода или null если не найден
+     * @param {string|null} [modId] - packageId мода из сохранения
+     * @returns {Promise<{steamId: string, title: string, confidence: number, alternatives: Array<import('./mod_search').SearchCandidate>}|null>}
+     *          Лучший кандидат с уверенностью от 0 до 1 или null если ничего не найдено
      */
-    async findModByName(modName) {
-        return new Promise((resolve, reject) => {
-            const searchUrl = `https://steamcommunity.com/workshop/browse/?appid=${this.rimworldAppId}&searchtext=${encodeURIComponent(modName)}`;
-            
-            https.get(searchUrl, (res) => {
-                let data = '';
-                
-                res.on('data', (chunk) => {
-                    data += chunk;
-                });
-                
-                res.on('end', () => {
-                    try {
-                        // Ищем блок с модом по названию
-                        const modNameRegex = new RegExp(`<div class="workshopItemTitle ellipsis">${modName}</div>`);
-                        const modBlockMatch = data.match(new RegExp(`<div[^>]*class="workshopItem"[^>]*>.*?${modNameRegex.source}.*?</div>`, 's'));
-                        
-                        if (modBlockMatch) {
-                            // Ищем ID мода в URL ссылки
-                            const urlMatch = modBlockMatch[0].match(/filedetails\/\?id=(\d+)/);
-                            if (urlMatch && urlMatch[1]) {
-                                console.log(`Найден мод "${modName}" с ID ${urlMatch[1]}`);
-                                resolve(urlMatch[1]);
-                            } else {
-                                const error = `Не удалось извлечь ID мода "${modName}" из URL`;
-                                console.log(error);
-                                errorLogger.logError('0', modName, error);
-                                resolve(null);
-                            }
-                        } else {
-                            const error = `Мод "${modName}" не найден в результатах поиска`;
-                            console.log(error);
-                            errorLogger.logError('0', modName, error);
-                            resolve(null);
-                        }
-                    } catch (error) {
-                        const errorMsg = `Ошибка при поиске мода "${modName}": ${error.message}`;
-                        console.error(errorMsg);
-                        errorLogger.logError('0', modName, errorMsg);
-                        reject(error);
-                    }
-                });
-            }).on('error', (error) => {
-                const errorMsg = `Ошибка при запросе к Steam Workshop: ${error.message}`;
-                console.error(errorMsg);
-                errorLogger.logError('0', modName, errorMsg);
-                reject(error);
-            });
-        });
+    async findModByName(modName, modId = null) {
+        const cached = this.resolutionCache.getResolution(modId, modName);
+        if (cached) {
+            if (cached.steamId === null) {
+                this.logger.log(`Мод "${modName}" отмечен в кэше как отсутствующий в Steam Workshop`);
+                return null;
+            }
+            this.logger.log(`Steam ID мода "${modName}" взят из кэша: ${cached.steamId}`);
+            return { steamId: cached.steamId, title: cached.title, confidence: cached.confidence, alternatives: [] };
+        }
+
+        const { maxSearchAttempts, searchDelay, maxResults, minConfidence } = this.options.modSearch;
+        const api = new SteamWebApi(this.options.steamApiBaseUrl, this.options.steamApiKey);
+        if (!api.apiKey) {
+            const error = `Поиск мода "${modName}" по названию невозможен: не задан ключ Steam Web API (steamApiKey в config.js или --steam-api-key)`;
+            this.logger.log(error);
+            this.errorLogger.logError('0', modName, error);
+            return null;
+        }
+
+        for (let attempt = 1; attempt <= maxSearchAttempts; attempt++) {
+            try {
+                const files = await api.queryFiles(modName, { appId: this.rimworldAppId, maxResults });
+                const authors = await api.getPlayerNames(files.map(file => String(file.creator)).filter(Boolean));
+                const candidates = files.map(file => ({
+                    steamId: String(file.publishedfileid),
+                    title: file.title || '',
+                    author: authors.get(String(file.creator)) || null,
+                    packageId: parsePackageIdFromMetadata(file.metadata)
+                }));
+
+                files.forEach(file => this.resolutionCache.setItem(file));
+
+                const match = rankCandidates(modName, modId, candidates);
+                if (!match) {
+                    const error = `Мод "${modName}" не найден в результатах поиска`;
+                    this.logger.log(error);
+                    this.errorLogger.logError('0', modName, error);
+                    this.resolutionCache.markNotOnWorkshop(modId, modName);
+                    return null;
+                }
+
+                const { best, confidence, alternatives } = match;
+                const percent = Math.round(confidence * 100);
+                this.logger.log(`Лучшее совпадение для "${modName}": "${best.title}" (${best.steamId}), уверенность ${percent}%`);
+                if (confidence < minConfidence && alternatives.length > 0) {
+                    this.logger.log('Уверенность низкая, другие варианты:');
+                    alternatives.slice(0, 5).forEach(candidate => {
+                        this.logger.log(`  - "${candidate.title}" (${candidate.steamId})${candidate.author ? `, автор ${candidate.author}` : ''}, совпадение ${Math.round(candidate.score * 100)}%`);
+                    });
+                }
+
+                // Неоднозначные совпадения не запоминаются: их нужно подтвердить в файле сопоставлений
+                if (confidence >= minConfidence) {
+                    this.resolutionCache.setResolution(modId, modName, { steamId: best.steamId, title: best.title, confidence });
+                }
+
+                return { steamId: best.steamId, title: best.title, confidence, alternatives };
+            } catch (error) {
+                const errorMsg = `Ошибка при поиске мода "${modName}" (попытка ${attempt}/${maxSearchAttempts}): ${error.message}`;
+                this.logger.error(errorMsg);
+                if (attempt === maxSearchAttempts) {
+                    this.errorLogger.logError('0', modName, errorMsg);
+                    this.emitError(errorMsg, { modId, steamId: null, modName });
+                    return null;
+                }
+                await new Promise(resolve => setTimeout(resolve, searchDelay));
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Строит индекс установленных модов по packageId: директория модов, затем директории загрузки SteamCMD
+     * @returns {Promise<InstalledModIndex>}
+     */
+    async buildInstalledModIndex() {
+        this.installedModIndex = await new InstalledModIndex([
+            { location: 'mods', directory: this.modsDirectory },
+            { location: 'steamcmd', directory: path.join(this.modsDirectory, 'steamapps', 'workshop', 'content', this.rimworldAppId) },
+            { location: 'steamcmd', directory: this.workshopDir }
+        ], this.logger).build();
+        return this.installedModIndex;
     }
 
     /**
-     * Проверяет, существует ли мод в директории модов
+     * Ищет в индексе установленных модов мод из директории модов, лежащий в папке с другим именем
+     * (индекс строится в analyzeMods)
+     * @param {string} modId - packageId мода
+     * @param {string} steamId - Steam ID мода
+     * @returns {import('./installed_mod_index').IndexedMod|null}
+     */
+    findLocalMod(modId, steamId) {
+        const indexed = this.installedModIndex?.find(modId);
+        return indexed?.location === 'mods' && indexed.folder !== steamId ? indexed : null;
+    }
+
+    /**
+     * Проверяет, существует ли мод в директории модов: в папке <steamId> или, по packageId, в папке с другим именем.
+     * Ссылка считается установленным модом, только если директория, на которую она указывает, существует
      * @param {string} modId - ID мода
      * @param {string} steamId - Steam ID мода
      * @returns {boolean}
      */
     isModInstalled(modId, steamId) {
+        if (this.findLocalMod(modId, steamId)) {
+            return true;
+        }
         try {
             // Проверяем по Steam ID, так как моды из Steam Workshop хранятся по их Steam ID
-            const modPath = path.join(this.modsDirectory, steamId);
+            const modPath = path.join(this.modsDirectory, getModFolder([modId, steamId]));
+            // statSync переходит по ссылке и завершается ошибкой для битой ссылки
             const stats = fs.statSync(modPath);
             return stats.isDirectory();
         } catch (error) {
@@ -121,333 +340,1342 @@ class SteamCmdManager {
     }
 
     /**
-     * Проверяет, существует ли мод в директории SteamCMD
+     * Ищет загруженный мод в директориях SteamCMD: в директории загрузки внутри директории модов
+     * (steamapps/workshop/content) и в директории самого SteamCMD
+     * @param {string} steamId - Steam ID мода
+     * @returns {string|null} Путь к моду или null, если мода нет
+     */
+    getSteamCmdModPath(steamId) {
+        const candidates = [
+            this.getDownloadedModPath(steamId),
+            path.join(this.workshopDir, steamId)
+        ];
+        return candidates.find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isDirectory()) || null;
+    }
+
+    /**
+     * Возвращает директорию загрузки мода внутри директории модов (steamapps/workshop/content/<appId>/<steamId>).
+     * В нее загружает моды SteamCMD и распаковываются архивы из зеркал
+     * @param {string} steamId - Steam ID мода
+     * @returns {string}
+     */
+    getDownloadedModPath(steamId) {
+        return path.join(this.modsDirectory, 'steamapps', 'workshop', 'content', this.rimworldAppId, steamId);
+    }
+
+    /**
+     * Возвращает директорию, в которую источник распаковывает мод: директорию загрузки по Steam ID,
+     * а для мода без Steam ID - steamapps/packages/<packageId> (вне директории загрузки SteamCMD)
+     * @param {[string, string, string]} mod - Мод в формате [modId, steamId, modName]
+     * @returns {string}
+     */
+    getSourceModPath(mod) {
+        if (mod[1] === '0') {
+            return path.join(this.modsDirectory, 'steamapps', 'packages', getModFolder(mod));
+        }
+        return this.getDownloadedModPath(mod[1]);
+    }
+
+    /**
+     * Ищет среди источников модов тот, что может получить мод без Steam ID по packageId (см. ModSource.hasPackage)
+     * @param {[string, string, string]} mod - Мод в формате [modId, steamId, modName]
+     * @returns {Promise<import('./mod_sources').ModSource|null>}
+     */
+    async findSourceByPackageId(mod) {
+        if (!mod[0]) {
+            return null;
+        }
+        for (const source of this.sources) {
+            if (await source.hasPackage(mod)) {
+                return source;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Проверяет, существует ли мод в директориях SteamCMD
      * @param {string} steamId - Steam ID мода
      * @returns {boolean}
      */
     isModInSteamCmd(steamId) {
         try {
-            const workshopModPath = path.join(this.workshopDir, steamId);
-            return fs.existsSync(workshopModPath);
+            return this.getSteamCmdModPath(steamId) !== null;
         } catch (error) {
-            console.error(`Ошибка при проверке мода ${steamId} в SteamCMD:`, error);
+            this.logger.error(`Ошибка при проверке мода ${steamId} в SteamCMD:`, error);
             return false;
         }
     }
 
     /**
-     * Скачивает мод через SteamCMD с повторными попытками
+     * Возвращает список модов, установленных в директории модов и в директории SteamCMD.
+     * Для ссылок указывается цель (linkTarget) и признак битой ссылки (broken)
+     * @returns {Array<{folder: string, path: string, location: 'mods'|'steamcmd', linkTarget: string|null, broken: boolean}>}
+     */
+    listInstalledMods() {
+        const installed = [];
+        const locations = [
+            { location: 'mods', directory: this.modsDirectory },
+            { location: 'steamcmd', directory: this.workshopDir }
+        ];
+
+        for (const { location, directory } of locations) {
+            if (!fs.existsSync(directory)) {
+                continue;
+            }
+
+            for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+                // Пропускаем служебную директорию SteamCMD и временные директории установки внутри директории модов
+                if (!(entry.isDirectory() || entry.isSymbolicLink()) || (location === 'mods' && (entry.name === 'steamapps' || entry.name.startsWith('.')))) {
+                    continue;
+                }
+                const entryPath = path.join(directory, entry.name);
+                const broken = isBrokenLink(entryPath);
+                // Ссылки на файлы не являются модами
+                if (entry.isSymbolicLink() && !broken && !fs.statSync(entryPath).isDirectory()) {
+                    continue;
+                }
+                installed.push({ folder: entry.name, path: entryPath, location, linkTarget: getLinkTarget(entryPath), broken });
+            }
+        }
+
+        return installed;
+    }
+
+    /**
+     * Выводит в консоль сводный отчет по результатам анализа модов
+     * @param {number} totalCount - Общее количество модов
+     * @param {Array<[string, string, string]>} missingMods - Отсутствующие моды
+     * @param {Array<[string, string, string]>} notFoundMods - Моды, не найденные в Steam Workshop
+     * @param {Array<[string, string, string, Array<string>]>} incompatibleMods - Возможно несовместимые с версией игры моды
+     */
+    printAnalysisReport(totalCount, missingMods, notFoundMods, incompatibleMods = []) {
+        this.logger.log('\nОтчет о модах:');
+        this.logger.log('='.repeat(80));
+        this.logger.log(`Всего модов: ${totalCount}`);
+        this.logger.log(`Отсутствующие моды: ${missingMods.length}`);
+        this.logger.log(`Не найденные в Steam Workshop: ${notFoundMods.length}`);
+        this.logger.log(`Возможно несовместимые с версией игры: ${incompatibleMods.length}`);
+        this.logger.log('='.repeat(80));
+        this.logger.log(`\nПодробный отчет сохранен в файлах:`);
+        this.logger.log(`- ${this.missingModsFile}`);
+        this.logger.log(`- ${this.notFoundModsFile}`);
+        this.logger.log(`- ${this.incompatibleModsFile}`);
+    }
+
+    /**
+     * Получает мод из источников модов с повторными попытками в зависимости от категории ошибки
      * @param {[string, string, string]} mod - Массив с данными мода [modId, steamId, modName]
-     * @param {number} retryCount - Количество оставшихся попыток
      * @returns {Promise<void>}
      */
-    async downloadMod(mod, retryCount = 3) {
-        const [modId, steamId, modName] = mod;
-        return new Promise((resolve, reject) => {
+    async downloadMod(mod) {
+        const [result] = await this.downloadModsBatch([mod]);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+    }
+
+    /**
+     * Устанавливает мод из директории Steam Workshop в директорию модов способом из настройки installStrategy
+     * @param {[string, string, string]} mod - Массив с данными мода [modId, steamId, modName]
+     * @param {string} workshopModPath - Путь к моду в директории Steam Workshop
+     */
+    copyModFromWorkshop(mod, workshopModPath) {
+        const [, steamId, modName] = mod;
+        const folder = getModFolder(mod);
+        const targetModPath = path.join(this.modsDirectory, folder);
+
+        // Убедимся, что директория существует
+        if (!fs.existsSync(this.modsDirectory)) {
+            this.logger.log(`Создаем директорию для модов: ${this.modsDirectory}`);
+            fs.mkdirSync(this.modsDirectory, { recursive: true });
+        }
+
+        if (this.installStrategy === 'copy') {
+            this.logger.log(`Копируем мод из ${workshopModPath} в ${targetModPath}`);
+        } else {
+            this.logger.log(`Устанавливаем мод из ${workshopModPath} в ${targetModPath} (${INSTALL_STRATEGIES[this.installStrategy]})`);
+        }
+        // Мод размещается во временной директории и подменяет старую версию, которая сохраняется в снимок запуска
+        const warning = this.snapshots.installMod(folder, workshopModPath, this.installRecord.get(folder), this.installStrategy);
+        if (warning) {
+            this.logger.warn(warning);
+        }
+        this.logger.log(`Мод ${modName} (${steamId}) успешно установлен в ${targetModPath}`);
+    }
+
+    /**
+     * Формирует runscript SteamCMD для загрузки нескольких модов за одну сессию
+     * @param {Array<string>} steamIds - Steam ID модов
+     * @returns {string}
+     */
+    buildRunScript(steamIds) {
+        return [
+            '@ShutdownOnFailedCommand 0',
+            '@NoPromptForPassword 1',
+            `force_install_dir "${this.modsDirectory}"`,
+            `login ${this.steamLogin}`,
+            ...steamIds.map(steamId => `workshop_download_item ${this.rimworldAppId} ${steamId}`),
+            'quit',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Запускает одну сессию SteamCMD, загружающую все указанные моды
+     * @param {Array<string>} steamIds - Steam ID модов
+     * @returns {Promise<{error: Error|null, stdout: string, stderr: string}>}
+     */
+    async runBatchSession(steamIds) {
+        const scriptPath = path.join(os.tmpdir(), `rimworld_mods_${process.pid}_${Date.now()}.txt`);
+        await fs.promises.writeFile(scriptPath, this.buildRunScript(steamIds), 'utf8');
+
+        const command = `"${this.steamCmdPath}" +runscript "${scriptPath}"`;
+        this.logger.log(`Выполняем команду: ${command}`);
+
+        try {
+            // SteamCMD может завершиться с ненулевым кодом даже при частично успешной загрузке,
+            // поэтому результат каждого мода определяется по выводу
+            return await new Promise((resolve) => {
+                const child = exec(command, { maxBuffer: 64 * 1024 * 1024 }, (error, stdout, stderr) => {
+                    resolve({ error, stdout: stdout || '', stderr: stderr || '' });
+                });
+                // Вывод передается подписчикам по мере поступления, не дожидаясь завершения сессии
+                child.stdout.on('data', chunk => this.emit('steamcmd-output', String(chunk)));
+                child.stderr.on('data', chunk => this.emit('steamcmd-output', String(chunk)));
+            });
+        } finally {
+            await fs.promises.rm(scriptPath, { force: true });
+        }
+    }
+
+    /**
+     * Скачивает моды через SteamCMD, используя одну сессию на каждую попытку.
+     * Количество попыток и задержка между ними зависят от категории ошибки
+     * @param {Array<[string, string, string]>} mods - Массив модов в формате [modId, steamId, modName]
+     * @param {Object} [options] - Параметры загрузки
+     * @param {boolean} [options.force] - Скачать моды заново, даже если они установлены или есть в директории SteamCMD
+     * @returns {Promise<Array<{id: string, steamId: string, name: string, success: boolean, category: string, skipped?: boolean, error?: string}>>} Результаты в порядке mods
+     */
+    async downloadModsBatch(mods, { force = false } = {}) {
+        const results = new Map();
+        const startedAt = Date.now();
+        let queue = [];
+        const setResult = (mod, result) => {
+            results.set(mod, result);
+            this.emit('download:progress', { mod: modToEvent(mod), completed: results.size, total: mods.length, ...result });
+            if (!result.success) {
+                this.emitError(result.error, { ...modToEvent(mod), category: result.category });
+            }
+        };
+
+        for (const mod of mods) {
+            const [modId, steamId, modName] = mod;
+
+            if (force) {
+                queue.push(mod);
+                continue;
+            }
+
+            // Мод, не прошедший проверку, загружается заново, минуя копию в директории SteamCMD
+            const redownloadReason = this.installRecord.getRedownloadReason(getModFolder(mod));
+            if (redownloadReason) {
+                this.logger.log(`Мод ${modName} (${steamId}) не прошел проверку (${VERIFY_STATUS_LABELS[redownloadReason] || redownloadReason}), загружаем заново`);
+                queue.push(mod);
+                continue;
+            }
+
             // Проверяем, не установлен ли уже мод в директории RimWorld
             if (this.isModInstalled(modId, steamId)) {
-                console.log(`Мод ${modName} (${steamId}) уже установлен в RimWorld, пропускаем`);
-                resolve();
-                return;
+                this.logger.log(`Мод ${modName} (${steamId}) уже установлен в RimWorld, пропускаем`);
+                setResult(mod, { success: true, category: DownloadCategory.SUCCESS, skipped: true, reason: 'Уже установлен' });
+                this.report.record(mod, { action: 'installed' });
+                continue;
+            }
+
+            // Битая ссылка (директорию SteamCMD перенесли или очистили) заменяется ссылкой на найденную копию мода
+            // или на заново загруженный мод
+            const modPath = path.join(this.modsDirectory, getModFolder(mod));
+            const brokenLink = isBrokenLink(modPath);
+            if (brokenLink) {
+                this.logger.log(`Ссылка ${modPath} указывает на несуществующую директорию ${getLinkTarget(modPath)}`);
+            }
+
+            // Проверяем, есть ли мод в директории SteamCMD (мод без Steam ID туда не загружается)
+            const steamCmdModPath = steamId !== '0' ? this.getSteamCmdModPath(steamId) : null;
+            if (steamCmdModPath) {
+                this.logger.log(`Мод ${modName} (${steamId}) найден в директории SteamCMD: ${steamCmdModPath}`);
+                setResult(mod, await this.installDownloadedMod(mod, steamCmdModPath, brokenLink ? 'relinked' : 'copied', Date.now()));
+                continue;
             }
 
-            // Проверяем, есть ли мод в директории SteamCMD
-            if (this.isModInSteamCmd(steamId)) {
-                console.log(`Мод ${modName} (${steamId}) найден в директории SteamCMD, копируем...`);
-                const workshopModPath = path.join(this.workshopDir, steamId);
-                const targetModPath = path.join(this.modsDirectory, steamId);
+            queue.push(mod);
+        }
+
+        if (queue.length > 0 && !fs.existsSync(this.modsDirectory)) {
+            this.logger.log(`Создаем директорию для модов: ${this.modsDirectory}`);
+            fs.mkdirSync(this.modsDirectory, { recursive: true });
+        }
 
-                try {
-                    // Убедимся, что директория существует
-                    if (!fs.existsSync(this.modsDirectory)) {
-                        console.log(`Создаем директорию для модов: ${this.modsDirectory}`);
-                        fs.mkdirSync(this.modsDirectory, { recursive: true });
+        // Источники обновляют директорию, на которую указывает установленная ссылка, на месте:
+        // предыдущая версия копируется в снимок до загрузки
+        for (const mod of queue) {
+            const folder = getModFolder(mod);
+            if (this.snapshots.preserveLinkedMod(folder, this.installRecord.get(folder))) {
+                this.logger.log(`Мод ${mod[2]} (${mod[1]}) установлен ссылкой, предыдущая версия скопирована в снимок запуска`);
+            }
+        }
+
+        // Если мода нет нигде, запрашиваем его у источников в порядке приоритета
+        const failures = new Map();
+        for (const source of this.sources) {
+            const pending = [];
+            for (let attempt = 1; queue.length > 0; attempt++) {
+                if (this.sources.length > 1) {
+                    this.logger.log(`Источник модов: ${source.constructor.description} (${source.name}), модов: ${queue.length}, попытка ${attempt}`);
+                }
+                this.emit('download:start', { source: source.name, mods: queue.map(modToEvent), attempt });
+                const sourceResults = await source.fetchMods(queue, attempt);
+                const retryMods = [];
+                let retryDelay = 0;
+
+                for (const mod of queue) {
+                    const sourceResult = sourceResults.get(mod);
+                    if (sourceResult.success) {
+                        setResult(mod, await this.installDownloadedMod(mod, sourceResult.modPath, sourceResult.action, startedAt, source.name));
+                        continue;
                     }
 
-                    console.log(`Копируем мод из ${workshopModPath} в ${targetModPath}`);
-                    fs.cpSync(workshopModPath, targetModPath, { recursive: true });
-                    console.log(`Мод ${modName} (${steamId}) успешно скопирован в ${targetModPath}`);
-                    resolve();
-                    return;
-                } catch (copyError) {
-                    const error = `Ошибка при копировании мода ${modName} (${steamId}): ${copyError.message}`;
-                    console.error(error);
-                    errorLogger.logError(modId, modName, error);
-                    reject(copyError);
-                    return;
+                    failures.set(mod, [...(failures.get(mod) || []).filter(failure => failure.source !== source.name), { source: source.name, ...sourceResult }]);
+                    const delay = getRetryDelay(sourceResult.category, attempt);
+                    if (delay !== null) {
+                        this.logger.log(`${mod[2]} (${mod[1]}) [${sourceResult.category}]: ${sourceResult.message}`);
+                        retryMods.push(mod);
+                        retryDelay = Math.max(retryDelay, delay);
+                    } else {
+                        pending.push(mod);
+                    }
+                }
+
+                if (retryMods.length > 0) {
+                    this.logger.log(`Повторная попытка скачивания ${retryMods.length} модов через ${retryDelay / 1000} с...`);
+                    await new Promise(resolve => setTimeout(resolve, retryDelay));
                 }
+                queue = retryMods;
             }
+            queue = pending;
+        }
 
-            // Если мода нет нигде, скачиваем его
-            console.log(`Мод ${modName} (${steamId}) не найден, начинаем скачивание... (попытка ${4 - retryCount} из 3)`);
-            
-            // Убедимся, что директория существует
-            if (!fs.existsSync(this.modsDirectory)) {
-                console.log(`Создаем директорию для модов: ${this.modsDirectory}`);
-                fs.mkdirSync(this.modsDirectory, { recursive: true });
+        // Мод не получен ни из одного источника. Категория ошибки берется у первого источника, где мод есть, но не загрузился
+        for (const mod of queue) {
+            const [modId, steamId, modName] = mod;
+            const modFailures = failures.get(mod);
+            const failure = modFailures.find(candidate => candidate.category !== DownloadCategory.NOT_FOUND) || modFailures[0];
+            const message = modFailures.length > 1 ?
+                modFailures.map(candidate => `${candidate.source}: ${candidate.message}`).join('; ') :
+                failure.message;
+            const errorMsg = `Не удалось скачать мод ${modName} (${steamId}) [${failure.category}]: ${message}`;
+            this.logger.error(errorMsg);
+            const steamCmdExcerpt = modFailures.find(candidate => candidate.details)?.details || null;
+            this.errorLogger.error(errorMsg, { modId, steamId, modName, category: failure.category, details: steamCmdExcerpt });
+            this.report.record(mod, {
+                action: 'failed',
+                durationMs: Date.now() - startedAt,
+                category: failure.category,
+                error: errorMsg,
+                steamCmdExcerpt
+            });
+            setResult(mod, { success: false, category: failure.category, error: errorMsg });
+        }
+
+        await this.installRecord.save();
+        return mods.map(mod => ({ id: mod[0], steamId: mod[1], name: mod[2], ...results.get(mod) }));
+    }
+
+    /**
+     * Копирует скачанный мод в директорию модов и проверяет установленный мод
+     * @param {[string, string, string]} mod - Массив с данными мода [modId, steamId, modName]
+     * @param {string} workshopModPath - Путь к моду в директории Steam Workshop или в зеркале
+     * @param {'copied'|'relinked'|'downloaded'|'mirrored'} action - Действие для отчета о запуске
+     * @param {number} startedAt - Время начала загрузки мода (мс) для отчета о запуске
+     * @param {string|null} [source] - Источник, из которого получен мод (см. MOD_SOURCES)
+     * @returns {Promise<{success: boolean, category: string, error?: string}>}
+     */
+    async installDownloadedMod(mod, workshopModPath, action, startedAt, source = null) {
+        const [modId, steamId, modName] = mod;
+        try {
+            this.copyModFromWorkshop(mod, workshopModPath);
+            const manifestEntry = this.readWorkshopManifest(path.dirname(workshopModPath)).get(steamId);
+            this.installRecord.set(getModFolder(mod), manifestEntry?.timeUpdated ?? null, manifestEntry?.size ?? null);
+
+            const verification = await this.verifyMod(mod);
+            if (verification.status !== VerifyStatus.OK) {
+                const error = `Мод ${modName} (${steamId}) установлен, но не прошел проверку: ${verification.message}`;
+                this.logger.error(error);
+                this.errorLogger.error(error, { modId, steamId, modName, category: DownloadCategory.VERIFY_FAILED, details: verification.status });
+                this.report.record(mod, {
+                    action: 'failed',
+                    durationMs: Date.now() - startedAt,
+                    bytes: verification.size,
+                    category: DownloadCategory.VERIFY_FAILED,
+                    error,
+                    source
+                });
+                return { success: false, category: DownloadCategory.VERIFY_FAILED, error };
             }
 
-            console.log(`Директория для установки модов: ${this.modsDirectory}`);
-            const command = `"${this.steamCmdPath}" +login ${this.steamLogin} +force_install_dir "${this.modsDirectory}" +workshop_download_item ${this.rimworldAppId} ${steamId} +quit`;
-            console.log(`Выполняем команду: ${command}`);
+            const bytes = verification.size;
+            this.report.record(mod, { action, durationMs: Date.now() - startedAt, bytes, source });
+            this.errorLogger.info(`Мод ${modName} (${steamId}) установлен`, { modId, steamId, modName, action, bytes, source });
+            return { success: true, category: DownloadCategory.SUCCESS };
+        } catch (copyError) {
+            const error = `Ошибка при копировании мода ${modName} (${steamId}): ${copyError.message}`;
+            this.logger.error(error);
+            this.errorLogger.error(error, { modId, steamId, modName, category: DownloadCategory.INSTALL_FAILED });
+            this.report.record(mod, { action: 'failed', durationMs: Date.now() - startedAt, category: DownloadCategory.INSTALL_FAILED, error, source });
+            return { success: false, category: DownloadCategory.INSTALL_FAILED, error };
+        }
+    }
+
+    /**
+     * Читает манифест SteamCMD appworkshop_<appId>.acf для директории с загруженными модами
+     * @param {string} contentDir - Директория steamapps/workshop/content/<appId>
+     * @returns {Map<string, {timeUpdated: number|null, size: number|null}>} Steam ID -> сведения о загруженном моде
+     */
+    readWorkshopManifest(contentDir) {
+        const manifestPath = path.join(contentDir, '..', '..', `appworkshop_${this.rimworldAppId}.acf`);
+        const items = new Map();
+        if (!fs.existsSync(manifestPath)) {
+            return items;
+        }
 
-            exec(command, (error, stdout, stderr) => {
-                if (error) {
-                    const errorMsg = `Ошибка при скачивании мода ${modName} (${steamId}): ${error.message}`;
-                    console.error(errorMsg);
-                    console.error('Вывод stderr:', stderr);
-                    errorLogger.logError(modId, modName, errorMsg, stderr);
-                    
-                    // Если есть еще попытки, пробуем снова
-                    if (retryCount > 1) {
-                        console.log(`Повторная попытка скачивания мода ${modName} (${steamId})...`);
-                        setTimeout(() => {
-                            this.downloadMod(mod, retryCount - 1)
-                                .then(resolve)
-                                .catch(reject);
-                        }, 2000);
-                        return;
+        try {
+            const manifest = parseVdf(fs.readFileSync(manifestPath, 'utf8')).AppWorkshop || {};
+            for (const [steamId, item] of Object.entries(manifest.WorkshopItemsInstalled || {})) {
+                items.set(steamId, {
+                    timeUpdated: item.timeupdated ? Number(item.timeupdated) : null,
+                    size: item.size ? Number(item.size) : null
+                });
+            }
+        } catch (error) {
+            this.logger.warn(`Не удалось прочитать манифест SteamCMD ${manifestPath}: ${error.message}`);
+        }
+        return items;
+    }
+
+    /**
+     * Определяет, какая версия мода установлена в директории модов.
+     * Используется запись об установке, затем манифест SteamCMD, затем дата изменения папки мода
+     * @param {string} steamId - Steam ID мода
+     * @returns {{time: number, source: string}|null} Время версии (секунды Unix) и его источник или null, если мод не установлен
+     */
+    getInstalledModTime(steamId) {
+        const modPath = path.join(this.modsDirectory, steamId);
+        if (!fs.existsSync(modPath)) {
+            return null;
+        }
+
+        const record = this.installRecord.get(steamId);
+        if (record) {
+            return { time: record.timeUpdated ?? record.installedAt, source: 'запись об установке' };
+        }
+
+        const manifestTimes = [
+            path.join(this.modsDirectory, 'steamapps', 'workshop', 'content', this.rimworldAppId),
+            this.workshopDir
+        ]
+            .map(contentDir => this.readWorkshopManifest(contentDir).get(steamId)?.timeUpdated)
+            .filter(Boolean);
+        if (manifestTimes.length > 0) {
+            return { time: Math.max(...manifestTimes), source: 'манифест SteamCMD' };
+        }
+
+        return { time: Math.floor(fs.statSync(modPath).mtimeMs / 1000), source: 'дата изменения папки' };
+    }
+
+    /**
+     * Возвращает размер мода по манифесту SteamCMD: из записи об установке, затем из манифестов
+     * @param {string} steamId - Steam ID мода
+     * @returns {number|null} Размер в байтах или null, если он неизвестен
+     */
+    getExpectedModSize(steamId) {
+        const record = this.installRecord.get(steamId);
+        if (record?.size) {
+            return record.size;
+        }
+
+        const sizes = [
+            path.join(this.modsDirectory, 'steamapps', 'workshop', 'content', this.rimworldAppId),
+            this.workshopDir
+        ]
+            .map(contentDir => this.readWorkshopManifest(contentDir).get(steamId)?.size)
+            .filter(Boolean);
+        return sizes.length > 0 ? Math.max(...sizes) : null;
+    }
+
+    /**
+     * Проверяет установленный мод (см. verifyModDirectory). Мод, не прошедший проверку, помечается для повторной загрузки,
+     * с прошедшего проверку пометка снимается; если packageId не совпадает, результат поиска мода по названию удаляется из кэша
+     * @param {[string, string, string]} mod - Мод в формате [modId, steamId, modName]
+     * @returns {Promise<{status: string, message: string, packageId: string|null, size: number|null}>}
+     */
+    async verifyMod(mod) {
+        const [modId, steamId, modName] = mod;
+        const folder = getModFolder(mod);
+        const result = await verifyModDirectory(path.join(this.modsDirectory, folder), {
+            modId,
+            steamId,
+            size: this.getExpectedModSize(folder)
+        });
+
+        if (result.status === VerifyStatus.OK) {
+            this.installRecord.clearRedownload(folder);
+        } else if (result.status !== VerifyStatus.NOT_INSTALLED) {
+            this.installRecord.markForRedownload(folder, result.status);
+        }
+        if (result.status === VerifyStatus.PACKAGE_MISMATCH) {
+            this.resolutionCache.removeResolution(modId, modName);
+        }
+        return result;
+    }
+
+    /**
+     * Проверяет установленные моды списка. Моды в папках с другим именем находятся по packageId (см. buildInstalledModIndex).
+     * Steam ID модов, которых нет в Steam Workshop по данным сохранения, берется из файла сопоставлений или кэша поиска (без запросов к Steam)
+     * @param {Array<[string, string, string]>} mods - Моды в формате [modId, steamId, modName]
+     * @returns {Promise<{checked: Array<{mod: [string, string, string], status: string, message: string}>, unresolved: Array<[string, string, string]>}>}
+     */
+    async verifyMods(mods) {
+        const checked = [];
+        const unresolved = [];
+        await this.buildInstalledModIndex();
+
+        for (const mod of mods) {
+            const [modId, steamId, modName] = mod;
+            // Локальный мод не загружается из Steam Workshop, поэтому не сравнивается с манифестом и не помечается для повторной загрузки
+            const localMod = this.findLocalMod(modId, steamId);
+            if (localMod) {
+                const { status, message } = await verifyModDirectory(localMod.path, { modId, steamId: localMod.steamId ?? steamId });
+                checked.push({ mod, status, message });
+                continue;
+            }
+
+            let resolvedSteamId = steamId;
+            if (resolvedSteamId === '0') {
+                resolvedSteamId = this.overrides.resolve(modId, modName) ?? this.resolutionCache.getResolution(modId, modName)?.steamId ?? null;
+            }
+            if (!resolvedSteamId) {
+                unresolved.push(mod);
+                continue;
+            }
+
+            const resolvedMod = [modId, resolvedSteamId, modName];
+            const { status, message } = await this.verifyMod(resolvedMod);
+            checked.push({ mod: resolvedMod, status, message });
+        }
+
+        await this.installRecord.save();
+        await this.resolutionCache.save();
+        return { checked, unresolved };
+    }
+
+    /**
+     * Сравнивает установленные моды с их последними версиями в Steam Workshop
+     * @param {Array<[string, string, string]>} mods - Установленные моды в формате [modId, steamId, modName]
+     * @returns {Promise<{stale: Array<Object>, upToDate: Array<[string, string, string]>, unavailable: Array<[string, string, string]>}>}
+     *          Устаревшие моды (mod, title, localTime, localSource, remoteTime), актуальные и недоступные в Steam Workshop
+     */
+    async checkForUpdates(mods) {
+        const details = await new SteamWebApi(this.options.steamApiBaseUrl, this.options.steamApiKey).getPublishedFileDetails(mods.map(([, steamId]) => steamId));
+        const detailsById = new Map(details.map(item => [String(item.publishedfileid), item]));
+
+        const stale = [];
+        const upToDate = [];
+        const unavailable = [];
+
+        for (const mod of mods) {
+            const [, steamId, modName] = mod;
+            const item = detailsById.get(steamId);
+            const local = this.getInstalledModTime(steamId);
+
+            if (!item || item.result !== 1 || !item.time_updated) {
+                this.logger.log(`Мод ${modName} (${steamId}) недоступен в Steam Workshop, пропускаем`);
+                unavailable.push(mod);
+                this.report.record(mod, { action: 'unavailable' });
+                continue;
+            }
+            this.resolutionCache.setItem(item);
+
+            if (local && local.time >= item.time_updated) {
+                upToDate.push(mod);
+                this.report.record(mod, { action: 'up_to_date' });
+                continue;
+            }
+            stale.push({
+                mod,
+                title: item.title || modName,
+                localTime: local?.time ?? null,
+                localSource: local?.source ?? null,
+                remoteTime: item.time_updated
+            });
+        }
+
+        await this.resolutionCache.save();
+        return { stale, upToDate, unavailable };
+    }
+
+    /**
+     * Собирает список файлов мода с их размерами
+     * @param {string} directory - Директория мода
+     * @returns {Map<string, number>} Относительный путь -> размер
+     */
+    collectModFiles(directory) {
+        const files = new Map();
+        if (!fs.existsSync(directory)) {
+            return files;
+        }
+
+        const walk = (current) => {
+            for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+                const entryPath = path.join(current, entry.name);
+                if (entry.isDirectory()) {
+                    walk(entryPath);
+                } else if (entry.isFile()) {
+                    files.set(path.relative(directory, entryPath), fs.statSync(entryPath).size);
+                }
+            }
+        };
+        walk(directory);
+        return files;
+    }
+
+    /**
+     * Собирает список файлов мода с их размерами и хэшами содержимого (SHA-1): обновление может изменить файл,
+     * не меняя его размер, а дата изменения у скопированных файлов меняется при каждой установке
+     * @param {string} directory - Директория мода
+     * @returns {Map<string, {size: number, hash: string}>} Относительный путь -> размер и хэш
+     */
+    collectModFileHashes(directory) {
+        const files = new Map();
+        for (const [file, size] of this.collectModFiles(directory)) {
+            const hash = crypto.createHash('sha1').update(fs.readFileSync(path.join(directory, file))).digest('hex');
+            files.set(file, { size, hash });
+        }
+        return files;
+    }
+
+    /**
+     * Сравнивает списки файлов мода до и после обновления (файл считается измененным, если изменилось его содержимое)
+     * @param {Map<string, {size: number, hash: string}>} before - Файлы до обновления
+     * @param {Map<string, {size: number, hash: string}>} after - Файлы после обновления
+     * @returns {{added: number, removed: number, changed: number, sizeBefore: number, sizeAfter: number}}
+     */
+    compareModFiles(before, after) {
+        const sum = files => [...files.values()].reduce((total, { size }) => total + size, 0);
+        return {
+            added: [...after.keys()].filter(file => !before.has(file)).length,
+            removed: [...before.keys()].filter(file => !after.has(file)).length,
+            changed: [...after.keys()].filter(file => before.has(file) && before.get(file).hash !== after.get(file).hash).length,
+            sizeBefore: sum(before),
+            sizeAfter: sum(after)
+        };
+    }
+
+    /**
+     * Обновляет устаревшие моды: скачивает заново только те, что изменились в Steam Workshop
+     * @param {Array<[string, string, string]>} mods - Установленные моды в формате [modId, steamId, modName]
+     * @param {Object} [options] - Параметры обновления
+     * @param {boolean} [options.dryRun] - Только найти устаревшие моды, не загружая их
+     * @returns {Promise<{success: boolean, results: Array<Object>, changes: Array<Object>, stale: Array<Object>,
+     *     upToDate: Array<[string, string, string]>, unavailable: Array<[string, string, string]>}>}
+     */
+    async updateMods(mods, { dryRun = false } = {}) {
+        this.logger.log(`Проверка обновлений ${mods.length} модов...`);
+        const { stale, upToDate, unavailable } = await this.checkForUpdates(mods);
+
+        if (stale.length === 0 || dryRun) {
+            return { success: true, results: [], changes: [], stale, upToDate, unavailable };
+        }
+
+        const filesBefore = new Map(stale.map(({ mod }) => [mod, this.collectModFileHashes(path.join(this.modsDirectory, mod[1]))]));
+
+        this.logger.log(`\nОбновление ${stale.length} модов...`);
+        const results = await this.downloadModsBatch(stale.map(({ mod }) => mod), { force: true });
+
+        const changes = stale.map((update, index) => ({
+            ...update,
+            result: results[index],
+            files: results[index].success ?
+                this.compareModFiles(filesBefore.get(update.mod), this.collectModFileHashes(path.join(this.modsDirectory, update.mod[1]))) :
+                null
+        }));
+        changes.filter(change => change.result.success).forEach(change => this.report.record(change.mod, { action: 'updated' }));
+
+        return { success: results.every(result => result.success), results, changes, stale, upToDate, unavailable };
+    }
+
+    /**
+     * Выводит сводку обновлений модов
+     * @param {Array<Object>} changes - Изменения из updateMods
+     */
+    printUpdateSummary(changes) {
+        const formatDate = time => (time ? new Date(time * 1000).toISOString().slice(0, 16).replace('T', ' ') : 'неизвестно');
+
+        this.logger.log('\nСводка изменений:');
+        this.logger.log('='.repeat(80));
+        for (const { mod, title, localTime, localSource, remoteTime, result, files } of changes) {
+            const status = result.success ? 'обновлен' : `ошибка [${result.category}]`;
+            this.logger.log(`${title} (${mod[1]}): ${status}`);
+            this.logger.log(`  Версия: ${formatDate(localTime)}${localSource ? ` (${localSource})` : ''} -> ${formatDate(remoteTime)}`);
+            if (files) {
+                this.logger.log(`  Файлы: добавлено ${files.added}, удалено ${files.removed}, изменено ${files.changed}; размер ${formatSize(files.sizeBefore)} -> ${formatSize(files.sizeAfter)}`);
+            }
+            this.logger.log(`  Список изменений: https://steamcommunity.com/sharedfiles/filedetails/changelog/${mod[1]}`);
+        }
+        this.logger.log('='.repeat(80));
+    }
+
+    /**
+     * Возвращает размер директории
+     * @param {string} directory - Директория
+     * @returns {number} Размер всех файлов в байтах
+     */
+    getDirectorySize(directory) {
+        return [...this.collectModFiles(directory).values()].reduce((total, size) => total + size, 0);
+    }
+
+    /**
+     * Составляет план очистки: какие моды и служебные директории не нужны ни одному из списков модов
+     * @param {{steamIds: Set<string>, packageIds: Set<string>}} references - Steam ID и packageId (в нижнем регистре) модов из всех списков
+     * @returns {Promise<Array<{path: string, name: string, location: string, size: number, action: 'keep'|'delete', reason: string}>>}
+     */
+    async planPrune(references) {
+        const items = [];
+        const installed = this.listInstalledMods();
+        const installedIds = new Set(installed.filter(mod => mod.location === 'mods').map(mod => mod.folder));
+        // Цели ссылок из сохраняемых модов: их нельзя удалять, пока на них ссылаются
+        const keptLinkTargets = [];
+
+        for (const mod of installed) {
+            // Ссылка не занимает места: размер мода учитывается в директории, на которую она указывает
+            const size = mod.linkTarget ? 0 : this.getDirectorySize(mod.path);
+            const item = { path: mod.path, name: mod.folder, location: mod.location, size };
+
+            if (mod.location === 'mods') {
+                const about = await readModAbout(mod.path).catch(() => null);
+                item.name = about?.name || mod.folder;
+                const isReferenced = references.steamIds.has(mod.folder) ||
+                    Boolean(about?.packageId && references.packageIds.has(about.packageId));
+
+                if (isReferenced) {
+                    items.push({ ...item, action: 'keep', reason: 'referenced' });
+                    if (mod.linkTarget && !mod.broken) {
+                        keptLinkTargets.push(mod.linkTarget);
                     }
-                    
-                    reject(error);
-                    return;
+                } else if (!about && !/^\d+$/.test(mod.folder)) {
+                    // Папка без About.xml и без Steam ID в названии может быть чем угодно, ее не трогаем
+                    items.push({ ...item, action: 'keep', reason: 'unknown' });
+                } else {
+                    items.push({ ...item, action: 'delete', reason: 'unreferenced' });
+                }
+            } else if (!references.steamIds.has(mod.folder)) {
+                items.push({ ...item, action: 'delete', reason: 'unreferenced' });
+            } else if (keptLinkTargets.includes(path.resolve(mod.path))) {
+                items.push({ ...item, action: 'keep', reason: 'linked' });
+            } else if (installedIds.has(mod.folder)) {
+                items.push({ ...item, action: 'delete', reason: 'duplicate' });
+            } else {
+                items.push({ ...item, action: 'keep', reason: 'referenced' });
+            }
+        }
+
+        // Дерево загрузки SteamCMD внутри директории модов (моды из него уже скопированы в <steamId>)
+        // и временные директории прерванных установок. Дерево загрузки сохраняется, если на моды в нем ссылаются
+        if (fs.existsSync(this.modsDirectory)) {
+            for (const entry of fs.readdirSync(this.modsDirectory, { withFileTypes: true })) {
+                const isStray = entry.name === 'steamapps';
+                const isLeftover = /^\.(staging|previous|rollback)-/.test(entry.name);
+                if ((entry.isDirectory() || entry.isSymbolicLink()) && (isStray || isLeftover)) {
+                    const entryPath = path.join(this.modsDirectory, entry.name);
+                    const isLinked = isStray && keptLinkTargets.some(target => target.startsWith(`${path.resolve(entryPath)}${path.sep}`));
+                    items.push({
+                        path: entryPath,
+                        name: entry.name,
+                        location: 'mods',
+                        size: getLinkTarget(entryPath) ? 0 : this.getDirectorySize(entryPath),
+                        action: isLinked ? 'keep' : 'delete',
+                        reason: isLinked ? 'linked' : isStray ? 'stray' : 'leftover'
+                    });
                 }
+            }
+        }
+
+        return items;
+    }
+
+    /**
+     * Выводит план очистки с размерами модов
+     * @param {Array<Object>} items - План из planPrune
+     */
+    printPrunePlan(items) {
+        const sum = list => list.reduce((total, item) => total + item.size, 0);
+        const kept = items.filter(item => item.action === 'keep');
+        const deleted = items.filter(item => item.action === 'delete');
+        const printItem = item => this.logger.log(`- ${formatSize(item.size).padStart(10)}  ${item.name} (${item.path}) - ${PRUNE_REASON_LABELS[item.reason]}`);
+
+        this.logger.log(`\nОстаются: ${kept.length}, ${formatSize(sum(kept))}`);
+        kept.forEach(printItem);
+        this.logger.log(`\nБудут удалены: ${deleted.length}, ${formatSize(sum(deleted))}`);
+        deleted.forEach(printItem);
+        this.logger.log(`\nВсего занято: ${formatSize(sum(items))}, можно освободить: ${formatSize(sum(deleted))}`);
+    }
+
+    /**
+     * Удаляет моды и директории, отмеченные в плане очистки
+     * @param {Array<Object>} items - План из planPrune
+     * @returns {Promise<{deleted: number, freed: number, failed: Array<{path: string, error: string}>}>}
+     */
+    async applyPrune(items) {
+        let deleted = 0;
+        let freed = 0;
+        const failed = [];
+
+        for (const item of items.filter(candidate => candidate.action === 'delete')) {
+            try {
+                await fs.promises.rm(item.path, { recursive: true, force: true });
+                if (item.location === 'mods' && item.reason === 'unreferenced') {
+                    this.installRecord.remove(path.basename(item.path));
+                }
+                deleted++;
+                freed += item.size;
+            } catch (error) {
+                const errorMsg = `Не удалось удалить ${item.path}: ${error.message}`;
+                this.logger.error(errorMsg);
+                this.errorLogger.logError(item.name, item.name, errorMsg);
+                failed.push({ path: item.path, error: errorMsg });
+            }
+        }
+
+        await this.installRecord.save();
+        return { deleted, freed, failed };
+    }
+
+    /**
+     * Выводит результат очистки
+     * @param {{deleted: number, freed: number, failed: Array<{path: string, error: string}>}} result - Результат applyPrune
+     */
+    printPruneResult({ deleted, freed, failed }) {
+        this.logger.log(`\nУдалено: ${deleted}, освобождено: ${formatSize(freed)}`);
+        if (failed.length > 0) {
+            this.logger.log(`Не удалось удалить: ${failed.length}`);
+        }
+    }
+
+    /**
+     * Откатывает установку модов: последнее изменение одного мода по имени его папки (Steam ID или packageId мода без Steam ID)
+     * или весь запуск (и все более поздние) по ID запуска. Цель ищется сначала среди модов в записи об установке и снимках
+     * @param {string} target - Steam ID или packageId мода либо ID запуска
+     * @returns {Promise<Array<{runId: string, snapshot: import('./snapshot_store').ModSnapshot}>>} Восстановленные моды
+     */
+    async rollback(target) {
+        const folder = [target, normalizePackageId(target)]
+            .find(candidate => this.installRecord.get(candidate) || this.snapshots.hasModSnapshots(candidate));
+        const restored = folder || /^\d+$/.test(target) ?
+            [this.snapshots.rollbackMod(folder || target)] :
+            this.snapshots.rollbackRun(target);
+
+        for (const { snapshot } of restored) {
+            this.installRecord.restore(snapshot.steamId, snapshot.previousRecord);
+        }
+        await this.installRecord.save();
+        return restored;
+    }
 
-                console.log('Вывод SteamCMD:', stdout);
-
-                // Проверяем, успешно ли скачался мод
-                if (stdout.includes('Success')) {
-                    // Получаем путь к скачанному моду в директории RimWorld
-                    const workshopModPath = path.join(this.modsDirectory, 'steamapps', 'workshop', 'content', this.rimworldAppId, steamId);
-                    const targetModPath = path.join(this.modsDirectory, steamId);
-
-                    // Копируем мод из директории SteamCMD в целевую директорию
-                    try {
-                        if (fs.existsSync(workshopModPath)) {
-                            console.log(`Копируем мод из ${workshopModPath} в ${targetModPath}`);
-                            fs.cpSync(workshopModPath, targetModPath, { recursive: true });
-                            console.log(`Мод ${modName} (${steamId}) успешно скопирован в ${targetModPath}`);
-                            resolve();
+    /**
+     * Читает About.xml мода, установленного в директории модов
+     * @param {string} folder - Папка мода (Steam ID или packageId мода без Steam ID)
+     * @param {string|null} [gameVersion] - Версия игры для секций *ByVersion
+     * @returns {Promise<Object|null>} Данные About.xml или null, если прочитать не удалось
+     */
+    async readInstalledModAbout(folder, gameVersion = null) {
+        try {
+            return await readModAbout(path.join(this.modsDirectory, folder), gameVersion);
+        } catch (error) {
+            this.logger.error(`Ошибка при чтении About.xml мода ${folder}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Читает About.xml всех модов в директории модов
+     * @param {string|null} [gameVersion] - Версия игры для секций *ByVersion
+     * @returns {Promise<Map<string, Object>>} Данные About.xml по packageId
+     */
+    async readInstalledModsMetadata(gameVersion = null) {
+        const metadata = new Map();
+
+        for (const mod of this.listInstalledMods().filter(({ location }) => location === 'mods')) {
+            try {
+                const about = await readModAbout(mod.path, gameVersion);
+                if (about?.packageId && !metadata.has(about.packageId)) {
+                    metadata.set(about.packageId, { ...about, folder: mod.folder });
+                }
+            } catch (error) {
+                this.logger.error(`Ошибка при чтении About.xml мода ${mod.folder}: ${error.message}`);
+            }
+        }
+
+        return metadata;
+    }
+
+    /**
+     * Находит и загружает недостающие зависимости модов по секции modDependencies в About.xml.
+     * Зависимости проверяются рекурсивно, уже установленные моды повторно не загружаются
+     * @param {Array<[string, string, string]>} mods - Моды, зависимости которых нужно проверить
+     * @param {Array<[string, string, string]>} knownMods - Все моды списка; зависимости из этого списка не загружаются отдельно
+     * @param {string|null} [gameVersion] - Версия игры для секций modDependenciesByVersion
+     * @returns {Promise<{tree: Array<DependencyNode>, results: Array<{id: string, name: string, success: boolean, dependency: boolean, category?: string, error?: string}>}>}
+     */
+    async resolveDependencies(mods, knownMods = mods, gameVersion = null) {
+        const knownPackageIds = new Set(knownMods.map(([modId]) => modId.toLowerCase()));
+        const nodes = new Map();
+        const results = [];
+
+        /** @type {Array<DependencyNode>} */
+        const tree = mods.map(([modId, steamId, modName]) => ({
+            packageId: modId.toLowerCase(),
+            name: modName,
+            steamId,
+            status: 'root',
+            dependencies: []
+        }));
+        tree.forEach(node => nodes.set(node.packageId, node));
+
+        let level = tree;
+        while (level.length > 0) {
+            const pending = [];
+
+            for (const node of level) {
+                const about = await this.readInstalledModAbout(getModFolder([node.packageId, node.steamId]), gameVersion);
+                for (const dependency of about?.dependencies || []) {
+                    // Ядро игры и DLC не загружаются через Steam Workshop
+                    if (dependency.packageId.startsWith('ludeon.rimworld')) {
+                        continue;
+                    }
+
+                    let child = nodes.get(dependency.packageId);
+                    if (!child) {
+                        child = {
+                            packageId: dependency.packageId,
+                            name: dependency.displayName,
+                            steamId: dependency.steamId,
+                            status: null,
+                            dependencies: []
+                        };
+                        nodes.set(child.packageId, child);
+
+                        if (knownPackageIds.has(child.packageId)) {
+                            child.status = 'listed';
+                        } else if (this.findLocalMod(child.packageId, child.steamId)) {
+                            child.status = 'installed';
+                        } else if (!child.steamId) {
+                            child.status = 'unresolved';
+                            this.logger.log(`Зависимость ${child.name} (${child.packageId}) мода ${node.name} не содержит ссылки на Steam Workshop`);
                         } else {
-                            const error = `Мод ${modName} (${steamId}) не найден в директории после скачивания`;
-                            console.error(error);
-                            errorLogger.logError(modId, modName, error, stdout);
-                            
-                            // Если есть еще попытки, пробуем снова
-                            if (retryCount > 1) {
-                                console.log(`Повторная попытка скачивания мода ${modName} (${steamId})...`);
-                                setTimeout(() => {
-                                    this.downloadMod(mod, retryCount - 1)
-                                        .then(resolve)
-                                        .catch(reject);
-                                }, 2000);
-                                return;
-                            }
-                            
-                            reject(new Error(error));
+                            pending.push(child);
                         }
-                    } catch (copyError) {
-                        const error = `Ошибка при копировании мода ${modName} (${steamId}): ${copyError.message}`;
-                        console.error(error);
-                        errorLogger.logError(modId, modName, error);
-                        reject(copyError);
                     }
-                } else {
-                    const error = `Не удалось скачать мод ${modName} (${steamId})`;
-                    console.error(error);
-                    console.error('Вывод stderr:', stderr);
-                    errorLogger.logError(modId, modName, error, stderr);
-                    
-                    // Если есть еще попытки, пробуем снова
-                    if (retryCount > 1) {
-                        console.log(`Повторная попытка скачивания мода ${modName} (${steamId})...`);
-                        setTimeout(() => {
-                            this.downloadMod(mod, retryCount - 1)
-                                .then(resolve)
-                                .catch(reject);
-                        }, 2000);
-                        return;
-                    }
-                    
-                    reject(new Error(error));
+                    node.dependencies.push(child);
+                }
+            }
+
+            if (pending.length === 0) {
+                break;
+            }
+
+            this.logger.log(`\nЗагрузка зависимостей: ${pending.length}`);
+            const pendingMods = pending.map(node => [node.packageId, node.steamId, node.name]);
+            pendingMods.forEach(mod => this.report.record(mod, { resolvedBy: 'list', dependency: true }));
+            const levelResults = await this.downloadModsBatch(pendingMods);
+
+            level = [];
+            levelResults.forEach((result, index) => {
+                const node = pending[index];
+                node.status = !result.success ? 'failed' : result.skipped ? 'installed' : 'downloaded';
+                results.push({ ...result, dependency: true });
+                if (result.success) {
+                    level.push(node);
                 }
             });
-        });
+        }
+
+        return { tree, results };
+    }
+
+    /**
+     * Выводит в консоль дерево зависимостей
+     * @param {Array<DependencyNode>} tree - Корневые узлы дерева
+     */
+    printDependencyTree(tree) {
+        const roots = tree.filter(node => node.dependencies.length > 0);
+        if (roots.length === 0) {
+            return;
+        }
+
+        this.logger.log('\nДерево зависимостей:');
+        const printed = new Set();
+        const printNode = (node, depth) => {
+            const steamId = node.steamId ? `, ${node.steamId}` : '';
+            const status = DEPENDENCY_STATUS_LABELS[node.status] ? ` [${DEPENDENCY_STATUS_LABELS[node.status]}]` : '';
+            this.logger.log(`${'  '.repeat(depth)}- ${node.name} (${node.packageId}${steamId})${status}`);
+
+            // Зависимости, общие для нескольких модов, выводятся только один раз
+            if (printed.has(node.packageId)) {
+                return;
+            }
+            printed.add(node.packageId);
+            node.dependencies.forEach(child => printNode(child, depth + 1));
+        };
+        roots.forEach(node => printNode(node, 0));
+    }
+
+    /**
+     * Проверяет, заявляет ли установленный мод поддержку версии игры
+     * @param {[string, string, string]} mod - Массив с данными мода [modId, steamId, modName]
+     * @param {string} gameVersion - Версия игры из сохранения
+     * @returns {Promise<Array<string>|null>} Поддерживаемые версии мода, если версия игры не поддерживается, иначе null
+     */
+    async findVersionIncompatibility(mod, gameVersion) {
+        const [modId, steamId, modName] = mod;
+        const modPath = [path.join(this.modsDirectory, getModFolder(mod)), path.join(this.workshopDir, steamId), this.findLocalMod(modId, steamId)?.path]
+            .find(candidate => candidate && fs.existsSync(candidate));
+
+        let supportedVersions = [];
+        try {
+            const about = modPath ? await readModAbout(modPath) : null;
+            supportedVersions = about?.supportedVersions || [];
+        } catch (error) {
+            this.logger.error(`Ошибка при чтении About.xml мода ${modName} (${steamId}): ${error.message}`);
+        }
+
+        if (supportsGameVersion(supportedVersions, gameVersion)) {
+            return null;
+        }
+        this.logger.log(`Мод ${modName} (${steamId}) не заявляет поддержку версии игры ${gameVersion}`);
+        return supportedVersions;
     }
 
     /**
      * Анализирует список модов и проверяет их наличие
      * @param {Array<[string, string, string]>} mods - Массив модов в формате [modId, steamId, modName]
-     * @returns {Promise<{missingMods: Array<[string, string, string]>, notFoundMods: Array<[string, string, string]>}>}
+     * @param {string|null} [gameVersion] - Версия игры из сохранения; если указана, проверяется совместимость установленных модов
+     * @returns {Promise<{missingMods: Array<[string, string, string]>, notFoundMods: Array<[string, string, string]>,
+     *     incompatibleMods: Array<[string, string, string, Array<string>]>}>}
      */
-    async analyzeMods(mods) {
+    async analyzeMods(mods, gameVersion = null) {
         const missingMods = [];
         const notFoundMods = [];
+        const incompatibleMods = [];
         const coreModNames = ['Core', 'RimWorld', 'RimWorldCore', 'GameCore'];
 
+        const index = await this.buildInstalledModIndex();
+        this.logger.log(`Модов в индексе установленных модов: ${index.size}`);
+
         // Сначала ищем Steam ID для модов, у которых его нет
         for (const mod of mods) {
             const [modId, steamId, modName] = mod;
             
             // Пропускаем Core моды
             if (coreModNames.some(name => modName?.toLowerCase() === name.toLowerCase())) {
-                console.log(`Пропускаем ${modName} - это ядро игры RimWorld`);
+                this.logger.log(`Пропускаем ${modName} - это ядро игры RimWorld`);
+                this.report.record(mod, { action: 'core' });
                 continue;
             }
 
-            // Если нет Steam ID, ищем мод по названию
-            if (steamId === '0') {
-                console.log(`Поиск мода "${modName}" в Steam Workshop...`);
-                const foundSteamId = await this.findModByName(modName);
+            // Мод, установленный в папку с другим именем (локальный мод, мод с GitHub), находится по packageId
+            // из About.xml без поиска и загрузки
+            const localMod = this.findLocalMod(modId, steamId);
+            if (localMod) {
+                this.logger.log(`Мод ${modName} найден в директории модов по packageId ${localMod.packageId}: ${localMod.folder}`);
+                this.emit('resolve', { modId, modName, steamId: localMod.steamId, resolvedBy: 'local', confidence: null });
+                const supportedVersions = gameVersion ? await this.findVersionIncompatibility(mod, gameVersion) : null;
+                if (supportedVersions) {
+                    incompatibleMods.push([...mod, supportedVersions]);
+                }
+                this.report.record(mod, { resolvedBy: 'local', action: 'installed', supportedVersions });
+                continue;
+            }
+
+            // Мод без Steam ID, уже загруженный в директорию SteamCMD, устанавливается оттуда без поиска
+            const localSteamId = steamId === '0' ? index.find(modId)?.steamId : null;
+            if (localSteamId) {
+                this.logger.log(`Мод "${modName}" найден в директории SteamCMD по packageId: ${localSteamId}`);
+                mod[1] = localSteamId;
+            }
+
+            // Ручное сопоставление из файла имеет приоритет над поиском
+            const overrideSteamId = mod[1] === '0' ? this.overrides.resolve(modId, modName) : undefined;
+            if (overrideSteamId) {
+                this.logger.log(`Steam ID мода "${modName}" взят из файла сопоставлений: ${overrideSteamId}`);
+                mod[1] = overrideSteamId;
+            }
+            let resolution = { resolvedBy: localSteamId ? 'local' : overrideSteamId !== undefined ? 'override' : 'list' };
+            let unresolvedMessage = null;
+
+            if (overrideSteamId === null) {
+                unresolvedMessage = `Мод "${modName}" отмечен в ${this.overrides.overridesPath} как отсутствующий в Steam Workshop`;
+            } else if (mod[1] === '0') {
+                // Если нет Steam ID, ищем мод по названию
+                this.logger.log(`Поиск мода "${modName}" в Steam Workshop...`);
+                const match = await this.findModByName(modName, modId);
                 
-                if (foundSteamId) {
-                    console.log(`Найден ID мода "${modName}": ${foundSteamId}`);
-                    mod[1] = foundSteamId; // Обновляем Steam ID в массиве
+                resolution = { resolvedBy: 'search', confidence: match ? match.confidence : null };
+                if (match && match.confidence >= this.options.modSearch.minConfidence) {
+                    this.logger.log(`Найден ID мода "${modName}": ${match.steamId}`);
+                    mod[1] = match.steamId; // Обновляем Steam ID в массиве
+                } else {
+                    unresolvedMessage = match ?
+                        `Мод "${modName}" не выбран автоматически: уверенность совпадения ниже ${Math.round(this.options.modSearch.minConfidence * 100)}%` :
+                        `Мод "${modName}" не найден в Steam Workshop`;
+                }
+            }
+
+            if (unresolvedMessage) {
+                this.logger.log(unresolvedMessage);
+                this.emit('resolve', { modId, modName, steamId: null, confidence: null, ...resolution });
+
+                // Мод без Steam ID (например, поиск недоступен без сети) может быть в зеркале под своим packageId
+                const packageSource = await this.findSourceByPackageId(mod);
+                if (packageSource) {
+                    this.logger.log(`Мод "${modName}" есть в источнике ${packageSource.name} по packageId ${modId}, будет установлен в папку ${getModFolder(mod)}`);
+                    missingMods.push(mod);
+                    this.report.record(mod, { ...resolution, action: 'missing' });
                 } else {
-                    console.log(`Мод "${modName}" не найден в Steam Workshop`);
                     notFoundMods.push(mod);
-                    continue;
+                    this.report.record(mod, { ...resolution, action: 'not_found', category: DownloadCategory.NOT_FOUND, error: unresolvedMessage });
                 }
+                continue;
             }
+            this.emit('resolve', { modId, modName, steamId: mod[1], confidence: null, ...resolution });
 
-            // Проверяем наличие мода в системе
+            // Проверяем наличие мода в системе; моды, не прошедшие проверку, загружаются заново.
+            // Мод из директории SteamCMD (в том числе цель битой ссылки) устанавливается без загрузки
+            const redownloadReason = this.installRecord.getRedownloadReason(mod[1]);
             const isInstalled = this.isModInstalled(modId, mod[1]);
             const isInSteamCmd = this.isModInSteamCmd(mod[1]);
 
-            if (!isInstalled && !isInSteamCmd) {
-                console.log(`Мод ${modName} (${mod[1]}) не найден в системе`);
+            if (redownloadReason || !isInstalled) {
+                if (redownloadReason) {
+                    this.logger.log(`Мод ${modName} (${mod[1]}) не прошел проверку (${VERIFY_STATUS_LABELS[redownloadReason] || redownloadReason}), будет загружен заново`);
+                } else if (isInSteamCmd) {
+                    this.logger.log(`Мод ${modName} (${mod[1]}) найден в директории SteamCMD и будет установлен из нее`);
+                } else {
+                    this.logger.log(`Мод ${modName} (${mod[1]}) не найден в системе`);
+                }
                 missingMods.push(mod);
+                this.report.record(mod, { ...resolution, action: 'missing' });
             } else {
-                console.log(`Мод ${modName} (${mod[1]}) найден в системе`);
+                this.logger.log(`Мод ${modName} (${mod[1]}) найден в системе`);
+
+                // Проверяем, поддерживает ли мод версию игры из сохранения
+                const supportedVersions = gameVersion ? await this.findVersionIncompatibility(mod, gameVersion) : null;
+                if (supportedVersions) {
+                    incompatibleMods.push([...mod, supportedVersions]);
+                }
+                this.report.record(mod, { ...resolution, action: 'installed', supportedVersions });
             }
         }
 
+        await this.resolutionCache.save();
+
         // Записываем результаты в файлы
         await this.writeModsToFile(this.missingModsFile, missingMods, 'Отсутствующие моды:');
         await this.writeModsToFile(this.notFoundModsFile, notFoundMods, 'Моды, не найденные в Steam Workshop:');
+        await this.writeIncompatibleModsFile(incompatibleMods, gameVersion);
 
-        return { missingMods, notFoundMods };
+        return { missingMods, notFoundMods, incompatibleMods };
+    }
+
+    /**
+     * Записывает в файл список модов, которые, возможно, несовместимы с версией игры
+     * @param {Array<[string, string, string, Array<string>]>} incompatibleMods - Моды и их поддерживаемые версии
+     * @param {string|null} gameVersion - Версия игры из сохранения
+     */
+    async writeIncompatibleModsFile(incompatibleMods, gameVersion) {
+        const header = gameVersion ?
+            `Возможно несовместимые моды (версия игры ${gameVersion}):` :
+            'Возможно несовместимые моды (версия игры не указана в сохранении):';
+        await this.writeModsToFile(this.incompatibleModsFile, incompatibleMods, header);
     }
 
     /**
      * Записывает список модов в файл
      * @param {string} filePath - Путь к файлу
-     * @param {Array<[string, string, string]>} mods - Массив модов
+     * @param {Array<[string, string, string, Array<string>?]>} mods - Массив модов (с необязательным списком поддерживаемых версий)
      * @param {string} header - Заголовок для файла
      */
     async writeModsToFile(filePath, mods, header) {
         const content = [
             header,
             '='.repeat(80),
-            ...mods.map(([modId, steamId, modName]) => 
-                `Мод: ${modName}\nID: ${modId}\nSteam ID: ${steamId}\n${'-'.repeat(40)}`
-            ),
+            ...mods.map(([modId, steamId, modName, supportedVersions]) => {
+                const versions = supportedVersions ?
+                    `Поддерживаемые версии: ${supportedVersions.join(', ') || 'не указаны'}\n` :
+                    '';
+                return `Мод: ${modName}\nID: ${modId}\nSteam ID: ${steamId}\n${versions}${'-'.repeat(40)}`;
+            }),
             `\nВсего модов: ${mods.length}\n`
         ].join('\n');
 
         await fs.promises.writeFile(filePath, content, 'utf8');
     }
 
+    /**
+     * Возвращает результаты для модов списка, которые не загружались: установленных и тех, для которых не найден Steam ID
+     * @param {Array<[string, string, string]>} mods - Моды списка
+     * @param {Array<[string, string, string]>} missingMods - Отсутствующие моды (загружаются)
+     * @param {Array<[string, string, string]>} notFoundMods - Моды, для которых не найден Steam ID
+     * @returns {Array<{id: string, name: string, success: boolean, skipped?: boolean, reason?: string, unresolved?: boolean, category?: string, error?: string}>}
+     */
+    getSkippedResults(mods, missingMods, notFoundMods) {
+        return mods
+            .filter(mod => !missingMods.some(m => m[0] === mod[0]))
+            .map(([modId, _, modName]) => (notFoundMods.some(m => m[0] === modId)
+                ? { id: modId, name: modName, success: false, unresolved: true, category: DownloadCategory.NOT_FOUND, error: 'Не найден Steam ID мода' }
+                : { id: modId, name: modName, success: true, skipped: true, reason: 'Уже установлен' }));
+    }
+
     /**
      * Загрузка модов
      * @param {Array<[string, string, string]>} mods - Массив модов в формате [modId, steamId, modName]
-     * @returns {Promise<{success: boolean, results: Array<{id: string, name: string, success: boolean, error?: string}>}>}
+     * @param {string|null} [gameVersion] - Версия игры из сохранения для проверки совместимости модов
+     * @param {Object} [options] - Параметры загрузки
+     * @param {boolean} [options.assumeYes] - Загружать без запроса подтверждения
+     * @param {boolean} [options.dryRun] - Только показать, какие моды будут загружены
+     * @param {function(Array<[string, string, string]>): Promise<boolean>} [options.confirm] - Запрос подтверждения
+     *        загрузки отсутствующих модов (по умолчанию из настроек менеджера)
+     * @returns {Promise<{success: boolean, results: Array<{id: string, name: string, success: boolean, category?: string, error?: string, dependency?: boolean, unresolved?: boolean}>,
+     *     missingMods?: Array<[string, string, string]>, notFoundMods?: Array<[string, string, string]>,
+     *     dependencyTree?: Array<DependencyNode>, incompatibleMods?: Array<[string, string, string, Array<string>]>,
+     *     dryRun?: boolean, cancelled?: boolean}>}
+     */
+    async downloadMods(mods, gameVersion = null, { assumeYes = false, dryRun = false, confirm = this.options.confirm } = {}) {
+        const result = await this.downloadMissingMods(mods, gameVersion, { assumeYes, dryRun, confirm });
+        this.emit('download:done', result);
+        return result;
+    }
+
+    /**
+     * Анализирует моды, запрашивает подтверждение и загружает отсутствующие моды с зависимостями (см. downloadMods)
+     * @param {Array<[string, string, string]>} mods - Массив модов в формате [modId, steamId, modName]
+     * @param {string|null} gameVersion - Версия игры из сохранения
+     * @param {{assumeYes: boolean, dryRun: boolean, confirm: Function}} options - Параметры загрузки
+     * @returns {Promise<Object>}
      */
-    async downloadMods(mods) {
+    async downloadMissingMods(mods, gameVersion, { assumeYes, dryRun, confirm }) {
         try {
             // Анализируем моды
-            const { missingMods, notFoundMods } = await this.analyzeMods(mods);
+            const { missingMods, notFoundMods, incompatibleMods } = await this.analyzeMods(mods, gameVersion);
 
             // Выводим отчет
-            console.log('\nОтчет о модах:');
-            console.log('='.repeat(80));
-            console.log(`Всего модов: ${mods.length}`);
-            console.log(`Отсутствующие моды: ${missingMods.length}`);
-            console.log(`Не найденные в Steam Workshop: ${notFoundMods.length}`);
-            console.log('='.repeat(80));
-            console.log(`\nПодробный отчет сохранен в файлах:`);
-            console.log(`- ${this.missingModsFile}`);
-            console.log(`- ${this.notFoundModsFile}`);
+            this.printAnalysisReport(mods.length, missingMods, notFoundMods, incompatibleMods);
 
             // Если нет модов для загрузки, возвращаем успешный результат
             if (missingMods.length === 0) {
                 return {
                     success: true,
-                    results: mods.map(([modId, _, modName]) => ({
+                    results: this.getSkippedResults(mods, missingMods, notFoundMods),
+                    missingMods,
+                    notFoundMods,
+                    incompatibleMods
+                };
+            }
+
+            if (dryRun) {
+                this.logger.log(`\nПробный запуск, будут загружены моды: ${missingMods.length}`);
+                missingMods.forEach(([, steamId, modName]) => this.logger.log(`- ${modName} (${steamId})`));
+                return {
+                    success: true,
+                    dryRun: true,
+                    results: missingMods.map(([modId, steamId, modName]) => ({
                         id: modId,
+                        steamId,
                         name: modName,
                         success: true,
                         skipped: true,
-                        reason: 'Уже установлен'
-                    }))
+                        reason: 'Пробный запуск'
+                    })),
+                    missingMods,
+                    notFoundMods,
+                    incompatibleMods
                 };
             }
 
-            // Запрашиваем подтверждение у пользователя
-            console.log('\nХотите загрузить отсутствующие моды? (y/n)');
-            const readline = require('readline').createInterface({
-                input: process.stdin,
-                output: process.stdout
-            });
-
-            const answer = await new Promise(resolve => {
-                readline.question('', resolve);
-            });
-            readline.close();
-
-            if (answer.toLowerCase() !== 'y') {
-                console.log('Загрузка модов отменена пользователем');
+            // Запрашиваем подтверждение у пользователя; без функции подтверждения моды загружаются только с assumeYes
+            const confirmed = assumeYes || (confirm ? await confirm(missingMods) : false);
+            if (!confirmed) {
+                const reason = confirm ? 'Загрузка отменена пользователем' : 'Загрузка не подтверждена: не заданы confirm и assumeYes';
+                this.logger.log(reason);
+                missingMods.forEach(mod => this.report.record(mod, { action: 'cancelled' }));
                 return {
                     success: false,
+                    cancelled: true,
                     results: mods.map(([modId, _, modName]) => ({
                         id: modId,
                         name: modName,
                         success: false,
-                        error: 'Загрузка отменена пользователем'
-                    }))
+                        error: reason
+                    })),
+                    missingMods,
+                    notFoundMods,
+                    incompatibleMods
                 };
             }
 
-            // Загружаем отсутствующие моды
-            const results = [];
-            for (const mod of missingMods) {
-                const [modId, steamId, modName] = mod;
-                try {
-                    console.log(`\nЗагрузка мода ${modName} (${modId})...`);
-                    await this.downloadMod(mod);
-                    results.push({
-                        id: modId,
-                        name: modName,
-                        success: true
-                    });
-                } catch (error) {
-                    console.error(`Ошибка при загрузке мода ${modName} (${modId}):`, error.message);
-                    errorLogger.logError(modId, modName, error.message);
-                    results.push({
-                        id: modId,
-                        name: modName,
-                        success: false,
-                        error: error.message
-                    });
+            // Загружаем отсутствующие моды за одну сессию SteamCMD
+            this.logger.log(`\nЗагрузка ${missingMods.length} модов...`);
+            const results = await this.downloadModsBatch(missingMods);
+
+            // Проверяем и загружаем зависимости загруженных модов
+            const downloadedMods = missingMods.filter((mod, index) => results[index].success);
+            const dependencies = await this.resolveDependencies(downloadedMods, mods, gameVersion);
+            this.printDependencyTree(dependencies.tree);
+            results.push(...dependencies.results);
+
+            // Проверяем совместимость загруженных модов и зависимостей с версией игры
+            if (gameVersion) {
+                const newlyDownloaded = [
+                    ...downloadedMods.filter(mod => !results[missingMods.indexOf(mod)].skipped),
+                    ...dependencies.results
+                        .filter(result => result.success && !result.skipped)
+                        .map(result => [result.id, result.steamId, result.name])
+                ];
+                for (const mod of newlyDownloaded) {
+                    const supportedVersions = await this.findVersionIncompatibility(mod, gameVersion);
+                    if (supportedVersions) {
+                        incompatibleMods.push([...mod, supportedVersions]);
+                        this.report.record(mod, { supportedVersions });
+                    }
                 }
+                await this.writeIncompatibleModsFile(incompatibleMods, gameVersion);
             }
 
-            // Добавляем результаты для уже установленных модов
-            const installedMods = mods.filter(mod => !missingMods.some(m => m[0] === mod[0]));
-            results.push(...installedMods.map(([modId, _, modName]) => ({
-                id: modId,
-                name: modName,
-                success: true,
-                skipped: true,
-                reason: 'Уже установлен'
-            })));
+            // Добавляем результаты для уже установленных модов и модов без Steam ID
+            results.push(...this.getSkippedResults(mods, missingMods, notFoundMods));
 
+            // Моды без Steam ID не считаются ошибкой загрузки: для них есть отдельный код завершения
             return {
-                success: results.every(result => result.success),
-                results: results
+                success: results.every(result => result.success || result.unresolved),
+                results: results,
+                missingMods,
+                notFoundMods,
+                dependencyTree: dependencies.tree,
+                incompatibleMods
             };
         } catch (error) {
-            console.error('Общая ошибка при загрузке модов:', error);
+            this.logger.error('Общая ошибка при загрузке модов:', error);
+            this.errorLogger.error(`Общая ошибка при загрузке модов: ${error.message}`, { stack: error.stack });
+            this.emitError(error);
             return {
                 success: false,
                 results: mods.map(([modId, _, modName]) => ({
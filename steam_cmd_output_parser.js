@@ -0,0 +1,134 @@
+/**
+ * Категории результата загрузки мода через SteamCMD
+ */
+const DownloadCategory = {
+    SUCCESS: 'success',
+    TIMEOUT: 'timeout',
+    NOT_FOUND: 'not_found',
+    ACCESS_DENIED: 'access_denied',
+    DISK_FULL: 'disk_full',
+    RATE_LIMITED: 'rate_limited',
+    INSTALL_FAILED: 'install_failed',
+    VERIFY_FAILED: 'verify_failed',
+    UNKNOWN: 'unknown'
+};
+
+/**
+ * Правила классификации сообщений SteamCMD (проверяются по порядку)
+ */
+const CLASSIFICATION_RULES = [
+    { category: DownloadCategory.RATE_LIMITED, pattern: /rate limit|limit exceeded|too many (requests|logon)/i },
+    { category: DownloadCategory.TIMEOUT, pattern: /timeout|timed out/i },
+    { category: DownloadCategory.NOT_FOUND, pattern: /file not found|item (was )?(removed|deleted)|no longer available|invalid (item|published ?file)/i },
+    { category: DownloadCategory.ACCESS_DENIED, pattern: /access denied|not logged on|login (failure|required)|failed login|invalid password|no subscription|account logon denied/i },
+    { category: DownloadCategory.DISK_FULL, pattern: /disk (write failure|full)|not enough (disk )?space|insufficient (disk )?space/i }
+];
+
+/**
+ * Политика повторных попыток для каждой категории.
+ * maxAttempts - общее количество попыток, delay - задержка перед повтором (мс),
+ * exponential - удваивать задержку с каждой попыткой
+ */
+const RETRY_POLICIES = {
+    [DownloadCategory.TIMEOUT]: { maxAttempts: 4, delay: 2000, exponential: true },
+    [DownloadCategory.RATE_LIMITED]: { maxAttempts: 3, delay: 30000, exponential: true },
+    [DownloadCategory.UNKNOWN]: { maxAttempts: 3, delay: 2000, exponential: false },
+    [DownloadCategory.NOT_FOUND]: { maxAttempts: 1 },
+    [DownloadCategory.ACCESS_DENIED]: { maxAttempts: 1 },
+    [DownloadCategory.DISK_FULL]: { maxAttempts: 1 },
+    [DownloadCategory.INSTALL_FAILED]: { maxAttempts: 1 },
+    [DownloadCategory.VERIFY_FAILED]: { maxAttempts: 1 }
+};
+
+/**
+ * Определяет категорию ошибки по сообщению SteamCMD
+ * @param {string} message - Строка вывода SteamCMD
+ * @returns {string} Одна из категорий DownloadCategory
+ */
+function classifyMessage(message) {
+    const rule = CLASSIFICATION_RULES.find(({ pattern }) => pattern.test(message));
+    return rule ? rule.category : DownloadCategory.UNKNOWN;
+}
+
+/**
+ * Разбирает вывод сессии SteamCMD и классифицирует результат каждого мода
+ * @param {string} output - Вывод SteamCMD (stdout и stderr)
+ * @param {Array<string>} steamIds - Steam ID модов, загружавшихся в сессии
+ * @returns {Map<string, {success: boolean, category: string, message: string}>}
+ */
+function parseSteamCmdOutput(output, steamIds) {
+    const itemResults = new Map();
+    // Ошибка уровня сессии (например, неудачный вход) относится ко всем модам без собственного результата
+    let sessionError = null;
+
+    for (const rawLine of output.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line) {
+            continue;
+        }
+
+        const successMatch = line.match(/^Success\. Downloaded item (\d+)/i);
+        if (successMatch) {
+            itemResults.set(successMatch[1], { success: true, category: DownloadCategory.SUCCESS, message: line });
+            continue;
+        }
+
+        const itemErrorMatch = line.match(/ERROR!.*?item (\d+)/i);
+        if (itemErrorMatch) {
+            itemResults.set(itemErrorMatch[1], { success: false, category: classifyMessage(line), message: line });
+            continue;
+        }
+
+        if (/^(ERROR!|FAILED)|Login Failure|failed login/i.test(line)) {
+            sessionError = { category: classifyMessage(line), message: line };
+        }
+    }
+
+    for (const steamId of steamIds) {
+        if (!itemResults.has(steamId)) {
+            itemResults.set(steamId, {
+                success: false,
+                category: sessionError ? sessionError.category : DownloadCategory.UNKNOWN,
+                message: sessionError ? sessionError.message : 'SteamCMD не сообщил результат загрузки'
+            });
+        }
+    }
+
+    return itemResults;
+}
+
+/**
+ * Выбирает из вывода SteamCMD строки, относящиеся к моду, и ошибки уровня сессии
+ * @param {string} output - Вывод SteamCMD (stdout и stderr)
+ * @param {string} steamId - Steam ID мода
+ * @param {number} [maxLines] - Максимальное количество строк
+ * @returns {string} Фрагмент вывода; последние строки вывода, если ничего не найдено
+ */
+function getOutputExcerpt(output, steamId, maxLines = 5) {
+    const lines = output.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    const relevant = lines.filter(line => line.includes(steamId) || /^(ERROR!|FAILED)|Login Failure|failed login/i.test(line));
+    return (relevant.length > 0 ? relevant : lines).slice(-maxLines).join('\n');
+}
+
+/**
+ * Возвращает задержку перед следующей попыткой или null, если повторять не нужно
+ * @param {string} category - Категория ошибки
+ * @param {number} attempt - Номер завершившейся попытки (начиная с 1)
+ * @returns {number|null} Задержка в миллисекундах
+ */
+function getRetryDelay(category, attempt) {
+    const policy = RETRY_POLICIES[category] || RETRY_POLICIES[DownloadCategory.UNKNOWN];
+    if (attempt >= policy.maxAttempts) {
+        return null;
+    }
+    return policy.exponential ? policy.delay * 2 ** (attempt - 1) : policy.delay;
+}
+
+module.exports = {
+    DownloadCategory,
+    RETRY_POLICIES,
+    classifyMessage,
+    parseSteamCmdOutput,
+    getOutputExcerpt,
+    getRetryDelay
+};
@@ -0,0 +1,217 @@
+const http = require('http');
+const https = require('https');
+const config = require('./config');
+
+// Тип элемента Steam Workshop "коллекция" (EWorkshopFileType)
+const WORKSHOP_FILE_TYPE_COLLECTION = 2;
+
+// Максимальное количество ID в одном запросе GetPublishedFileDetails
+const DETAILS_BATCH_SIZE = 100;
+
+// Тип запроса QueryFiles "по релевантности текстовому поиску" (EPublishedFileQueryType)
+const QUERY_TYPE_RANKED_BY_TEXT_SEARCH = 12;
+
+class SteamWebApi {
+    /**
+     * @param {string} [baseUrl] - Базовый адрес Steam Web API (по умолчанию из config.js)
+     * @param {string} [apiKey] - Ключ Steam Web API (нужен для QueryFiles и GetPlayerSummaries)
+     */
+    constructor(baseUrl = config.steamApiBaseUrl, apiKey = config.steamApiKey) {
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.apiKey = apiKey;
+        this.requestTimeout = 30000;
+    }
+
+    /**
+     * Выполняет запрос к Steam Web API и возвращает поле response из ответа
+     * @param {'GET'|'POST'} method - HTTP-метод
+     * @param {string} apiPath - Путь метода, например ISteamRemoteStorage/GetCollectionDetails/v1/
+     * @param {Object<string, string|number>} params - Параметры запроса
+     * @returns {Promise<Object>}
+     */
+    request(method, apiPath, params) {
+        const body = new URLSearchParams(Object.entries(params).map(([key, value]) => [key, String(value)])).toString();
+        const url = new URL(`${this.baseUrl}/${apiPath}`);
+        if (method === 'GET') {
+            url.search = body;
+        }
+        const client = url.protocol === 'http:' ? http : https;
+
+        return new Promise((resolve, reject) => {
+            const req = client.request(url, {
+                method,
+                headers: method === 'POST' ? {
+                    'Content-Type': 'application/x-www-form-urlencoded',
+                    'Content-Length': Buffer.byteLength(body)
+                } : {}
+            }, (res) => {
+                let data = '';
+                res.setEncoding('utf8');
+
+                res.on('data', (chunk) => {
+                    data += chunk;
+                });
+
+                res.on('end', () => {
+                    if (res.statusCode !== 200) {
+                        reject(new Error(`Steam Web API вернул код ${res.statusCode} для ${apiPath}`));
+                        return;
+                    }
+                    try {
+                        resolve(JSON.parse(data).response || {});
+                    } catch (error) {
+                        reject(new Error(`Некорректный ответ Steam Web API для ${apiPath}: ${error.message}`));
+                    }
+                });
+            });
+
+            req.setTimeout(this.requestTimeout, () => {
+                req.destroy(new Error(`Превышено время ожидания ответа Steam Web API для ${apiPath}`));
+            });
+            req.on('error', reject);
+
+            if (method === 'POST') {
+                req.write(body);
+            }
+            req.end();
+        });
+    }
+
+    /**
+     * Формирует параметры publishedfileids[0..n] для списка ID
+     * @param {Array<string>} ids - ID элементов Steam Workshop
+     * @returns {Object<string, string>}
+     */
+    buildIdParams(ids) {
+        return Object.fromEntries(ids.map((id, index) => [`publishedfileids[${index}]`, id]));
+    }
+
+    /**
+     * Получает состав коллекций Steam Workshop
+     * @param {Array<string>} collectionIds - ID коллекций
+     * @returns {Promise<Array<{publishedfileid: string, result: number, children?: Array<{publishedfileid: string, sortorder: number, filetype: number}>}>>}
+     */
+    async getCollectionDetails(collectionIds) {
+        const response = await this.request('POST', 'ISteamRemoteStorage/GetCollectionDetails/v1/', {
+            collectioncount: collectionIds.length,
+            ...this.buildIdParams(collectionIds)
+        });
+        return response.collectiondetails || [];
+    }
+
+    /**
+     * Получает сведения об элементах Steam Workshop (название, размер, время обновления и т.д.)
+     * @param {Array<string>} ids - ID элементов
+     * @returns {Promise<Array<Object>>} Сведения в формате ответа GetPublishedFileDetails
+     */
+    async getPublishedFileDetails(ids) {
+        const details = [];
+        for (let start = 0; start < ids.length; start += DETAILS_BATCH_SIZE) {
+            const batch = ids.slice(start, start + DETAILS_BATCH_SIZE);
+            const response = await this.request('POST', 'ISteamRemoteStorage/GetPublishedFileDetails/v1/', {
+                itemcount: batch.length,
+                ...this.buildIdParams(batch)
+            });
+            details.push(...(response.publishedfiledetails || []));
+        }
+        return details;
+    }
+
+    /**
+     * Проверяет, что задан ключ Steam Web API
+     * @param {string} apiPath - Метод, которому нужен ключ
+     */
+    requireApiKey(apiPath) {
+        if (!this.apiKey) {
+            throw new Error(`Для запроса ${apiPath} нужен ключ Steam Web API: укажите steamApiKey в config.js или параметр --steam-api-key`);
+        }
+    }
+
+    /**
+     * Ищет элементы Steam Workshop по тексту
+     * @param {string} searchText - Текст поиска
+     * @param {Object} options - Параметры поиска
+     * @param {string} options.appId - ID игры в Steam
+     * @param {number} [options.maxResults] - Максимальное количество результатов
+     * @returns {Promise<Array<{publishedfileid: string, title: string, creator: string, metadata?: string}>>}
+     */
+    async queryFiles(searchText, { appId, maxResults = 10 }) {
+        const apiPath = 'IPublishedFileService/QueryFiles/v1/';
+        this.requireApiKey(apiPath);
+        const response = await this.request('GET', apiPath, {
+            key: this.apiKey,
+            query_type: QUERY_TYPE_RANKED_BY_TEXT_SEARCH,
+            page: 1,
+            numperpage: maxResults,
+            appid: appId,
+            search_text: searchText,
+            return_metadata: true
+        });
+        return response.publishedfiledetails || [];
+    }
+
+    /**
+     * Получает имена пользователей Steam
+     * @param {Array<string>} steamIds - SteamID64 пользователей
+     * @returns {Promise<Map<string, string>>} SteamID64 -> имя пользователя
+     */
+    async getPlayerNames(steamIds) {
+        const apiPath = 'ISteamUser/GetPlayerSummaries/v2/';
+        this.requireApiKey(apiPath);
+        if (steamIds.length === 0) {
+            return new Map();
+        }
+        const response = await this.request('GET', apiPath, {
+            key: this.apiKey,
+            steamids: [...new Set(steamIds)].join(',')
+        });
+        return new Map((response.players || []).map(player => [String(player.steamid), player.personaname]));
+    }
+
+    /**
+     * Раскрывает коллекцию Steam Workshop в список элементов, включая вложенные коллекции.
+     * Если ID не является коллекцией, возвращается он сам
+     * @param {string} collectionId - ID коллекции
+     * @returns {Promise<Array<string>>} ID элементов в порядке коллекции без повторов
+     */
+    async expandCollection(collectionId) {
+        const items = [];
+        const visited = new Set();
+
+        const expand = async (id) => {
+            visited.add(id);
+            const [details] = await this.getCollectionDetails([id]);
+            const children = details?.children;
+
+            // Не коллекция (или пустая коллекция) - это обычный элемент
+            if (!children || children.length === 0) {
+                if (id !== collectionId && !items.includes(id)) {
+                    items.push(id);
+                }
+                return;
+            }
+
+            const sortedChildren = [...children].sort((a, b) => (a.sortorder || 0) - (b.sortorder || 0));
+            for (const child of sortedChildren) {
+                const childId = String(child.publishedfileid);
+                if (child.filetype === WORKSHOP_FILE_TYPE_COLLECTION) {
+                    if (!visited.has(childId)) {
+                        await expand(childId);
+                    }
+                } else if (!items.includes(childId)) {
+                    items.push(childId);
+                }
+            }
+        };
+
+        await expand(collectionId);
+
+        // Переданный ID оказался обычным элементом, а не коллекцией
+        if (items.length === 0) {
+            items.push(collectionId);
+        }
+        return items;
+    }
+}
+
+module.exports = SteamWebApi;
@@ -0,0 +1,109 @@
+// Escape-последовательности в строках VDF
+const ESCAPES = { n: '\n', t: '\t', '\\': '\\', '"': '"' };
+
+/**
+ * Разбивает документ VDF (Valve KeyValues) на токены: строки, { и }.
+ * Комментарии // и условия платформ вида [$WIN32] пропускаются
+ * @param {string} content - Содержимое документа
+ * @returns {Array<{type: 'string'|'open'|'close', value?: string, position: number}>}
+ */
+function tokenizeVdf(content) {
+    const tokens = [];
+    let position = 0;
+
+    while (position < content.length) {
+        const char = content[position];
+
+        if (/\s/.test(char) || char === '\uFEFF') {
+            position++;
+        } else if (content.startsWith('//', position)) {
+            const lineEnd = content.indexOf('\n', position);
+            position = lineEnd === -1 ? content.length : lineEnd + 1;
+        } else if (char === '{' || char === '}') {
+            tokens.push({ type: char === '{' ? 'open' : 'close', position });
+            position++;
+        } else if (char === '[') {
+            const conditionEnd = content.indexOf(']', position);
+            if (conditionEnd === -1) {
+                throw new Error(`Некорректный VDF: незакрытое условие в позиции ${position}`);
+            }
+            position = conditionEnd + 1;
+        } else if (char === '"') {
+            const start = position;
+            let value = '';
+            position++;
+            while (position < content.length && content[position] !== '"') {
+                if (content[position] === '\\' && position + 1 < content.length) {
+                    const escaped = content[position + 1];
+                    value += ESCAPES[escaped] ?? `\\${escaped}`;
+                    position += 2;
+                } else {
+                    value += content[position++];
+                }
+            }
+            if (position >= content.length) {
+                throw new Error(`Некорректный VDF: незакрытая строка в позиции ${start}`);
+            }
+            position++;
+            tokens.push({ type: 'string', value, position: start });
+        } else {
+            const match = content.slice(position).match(/^[^\s{}"]+/);
+            tokens.push({ type: 'string', value: match[0], position });
+            position += match[0].length;
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Разбирает документ VDF (Valve KeyValues), например манифест SteamCMD .acf, в объект.
+ * Значения - строки или вложенные объекты; при повторе ключа остается последнее значение
+ * @param {string} content - Содержимое документа
+ * @returns {Object<string, string|Object>}
+ */
+function parseVdf(content) {
+    const tokens = tokenizeVdf(content);
+    const root = {};
+    const stack = [root];
+    let index = 0;
+
+    while (index < tokens.length) {
+        const token = tokens[index];
+        const current = stack[stack.length - 1];
+
+        if (token.type === 'close') {
+            if (stack.length === 1) {
+                throw new Error(`Некорректный VDF: лишняя } в позиции ${token.position}`);
+            }
+            stack.pop();
+            index++;
+            continue;
+        }
+        if (token.type === 'open') {
+            throw new Error(`Некорректный VDF: { без ключа в позиции ${token.position}`);
+        }
+
+        const next = tokens[index + 1];
+        if (!next || next.type === 'close') {
+            throw new Error(`Некорректный VDF: нет значения для ключа "${token.value}" в позиции ${token.position}`);
+        }
+        if (next.type === 'open') {
+            const section = {};
+            current[token.value] = section;
+            stack.push(section);
+        } else {
+            current[token.value] = next.value;
+        }
+        index += 2;
+    }
+
+    if (stack.length > 1) {
+        throw new Error('Некорректный VDF: документ оборван, не закрыта секция');
+    }
+    return root;
+}
+
+module.exports = {
+    parseVdf
+};
@@ -0,0 +1,582 @@
+const http = require('http');
+const crypto = require('crypto');
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const config = require('./config');
+const errorLogger = require('./error_logger');
+const SteamCmdManager = require('./steam_cmd_manager');
+const RimworldSaveReader = require('./rimworld_save_reader');
+const { readModList } = require('./mod_list_formats');
+const { renderDashboardPage } = require('./dashboard_page');
+
+// Интервал комментариев в потоке событий, чтобы браузер и прокси не закрывали соединение (мс)
+const KEEP_ALIVE_INTERVAL = 15000;
+
+// Максимальный размер тела запроса JSON (в байтах)
+const MAX_JSON_BODY_SIZE = 1024 * 1024;
+
+// Заголовок с токеном запуска панели, обязательный для запросов POST
+const TOKEN_HEADER = 'x-dashboard-token';
+
+// Имена этого компьютера, по которым панель доступна, если она запущена на локальном адресе
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * Создает ошибку запроса с кодом ответа HTTP
+ * @param {number} statusCode - Код ответа HTTP
+ * @param {string} message - Текст ошибки
+ * @returns {Error}
+ */
+function createHttpError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+/**
+ * Преобразует мод в объект для ответа API
+ * @param {[string, string, string, Array<string>?]} mod - Мод в формате [modId, steamId, modName, supportedVersions]
+ * @returns {{modId: string, steamId: string, modName: string, supportedVersions?: Array<string>}}
+ */
+function modToJson([modId, steamId, modName, supportedVersions]) {
+    return { modId, steamId, modName, ...(supportedVersions && { supportedVersions }) };
+}
+
+/**
+ * Преобразует результат analyzeMods или downloadMods для ответа API.
+ * Дерево зависимостей не передается: в нем возможны циклы, а зависимости есть в отчете о запуске
+ * @param {Object} result - Результат SteamCmdManager
+ * @returns {Object}
+ */
+function resultToJson(result) {
+    const { dependencyTree, ...json } = result;
+    for (const key of ['missingMods', 'notFoundMods', 'incompatibleMods']) {
+        if (Array.isArray(json[key])) {
+            json[key] = json[key].map(modToJson);
+        }
+    }
+    return json;
+}
+
+/**
+ * Проверяет тип содержимого запроса. HTML-форма другого сайта не может отправить application/json
+ * или application/octet-stream без разрешения CORS
+ * @param {http.IncomingMessage} request - Запрос
+ * @param {string} contentType - Ожидаемый тип содержимого
+ */
+function checkContentType(request, contentType) {
+    const actual = (request.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (actual !== contentType) {
+        throw createHttpError(415, `Ожидается Content-Type: ${contentType}`);
+    }
+}
+
+/**
+ * Читает тело запроса в формате JSON (Content-Type: application/json)
+ * @param {http.IncomingMessage} request - Запрос
+ * @returns {Promise<Object>}
+ */
+async function readJsonBody(request) {
+    checkContentType(request, 'application/json');
+    let body = '';
+    for await (const chunk of request) {
+        body += chunk;
+        if (body.length > MAX_JSON_BODY_SIZE) {
+            throw createHttpError(413, 'Слишком большое тело запроса');
+        }
+    }
+    if (body.trim() === '') {
+        return {};
+    }
+    try {
+        return JSON.parse(body);
+    } catch (error) {
+        throw createHttpError(400, `Тело запроса не является JSON: ${error.message}`);
+    }
+}
+
+/**
+ * Приводит адрес к виду, в котором он указывается в заголовке Host (адрес IPv6 — в квадратных скобках)
+ * @param {string} address - Имя или IP-адрес
+ * @returns {string}
+ */
+function formatHostName(address) {
+    return address.includes(':') ? `[${address}]` : address.toLowerCase();
+}
+
+/**
+ * Возвращает значения заголовка Host, с которыми принимаются запросы к панели: адрес, на котором она запущена,
+ * имена локального компьютера для локального адреса, а для 0.0.0.0 и :: — также имя компьютера и адреса всех сетевых интерфейсов
+ * @param {string|undefined} host - Адрес, на котором запущен сервер
+ * @param {number} port - Порт сервера
+ * @returns {Set<string>}
+ */
+function getAllowedHosts(host, port) {
+    const names = new Set();
+    const isAnyAddress = !host || host === '0.0.0.0' || host === '::';
+    if (!isAnyAddress) {
+        names.add(formatHostName(host));
+    }
+    if (isAnyAddress || host === 'localhost' || host === '::1' || host.startsWith('127.')) {
+        LOOPBACK_HOSTS.forEach(name => names.add(name));
+    }
+    if (isAnyAddress) {
+        names.add(os.hostname().toLowerCase());
+        Object.values(os.networkInterfaces())
+            .flat()
+            .forEach(networkInterface => names.add(formatHostName(networkInterface.address)));
+    }
+
+    const hosts = new Set();
+    names.forEach(name => {
+        hosts.add(`${name}:${port}`);
+        if (port === 80) {
+            hosts.add(name);
+        }
+    });
+    return hosts;
+}
+
+/**
+ * Веб-панель: HTTP-сервер с REST API над SteamCmdManager, потоком событий (Server-Sent Events) и HTML-страницей.
+ * Одновременно выполняется одна задача (анализ или загрузка); подтверждение загрузки запрашивается
+ * на странице вместо вопроса y/n в консоли. Запросы принимаются только по адресу, на котором запущена панель (защита
+ * от подмены DNS), а запросы POST — только с токеном запуска (страница получает его при загрузке) и только со страницы
+ * самой панели, чтобы чужой сайт в браузере пользователя не мог запустить загрузку
+ */
+class DashboardServer {
+    /**
+     * @param {string} [uploadsDirectory] - Директория загруженных через панель сохранений (по умолчанию в config.stateDirectory)
+     */
+    constructor(uploadsDirectory = path.join(config.stateDirectory, 'uploads')) {
+        this.uploadsDirectory = uploadsDirectory;
+        this.token = crypto.randomBytes(16).toString('hex');
+        /** @type {Set<string>} */
+        this.allowedHosts = new Set();
+        /** @type {Set<http.ServerResponse>} */
+        this.clients = new Set();
+        this.selectedSave = null;
+        this.job = null;
+        this.pendingConfirmation = null;
+        this.routes = {
+            'GET /': this.handlePage,
+            'GET /api/events': this.handleEvents,
+            'GET /api/state': this.handleState,
+            'GET /api/saves': this.handleListSaves,
+            'POST /api/saves/upload': this.handleUpload,
+            'POST /api/saves/select': this.handleSelect,
+            'POST /api/analyze': this.handleAnalyze,
+            'POST /api/download': this.handleDownload,
+            'POST /api/confirm': this.handleConfirm,
+            'GET /api/installed': this.handleInstalled
+        };
+        this.server = http.createServer((request, response) => this.handleRequest(request, response));
+    }
+
+    /**
+     * Запускает сервер
+     * @param {number} port - Порт
+     * @param {string} host - Адрес
+     * @returns {Promise<void>}
+     */
+    listen(port, host) {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.server.off('error', reject);
+                this.allowedHosts = getAllowedHosts(host, this.server.address().port);
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Закрывает потоки событий и останавливает сервер
+     * @returns {Promise<void>}
+     */
+    close() {
+        this.clients.forEach(client => client.end());
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    /**
+     * Направляет запрос обработчику и отвечает ошибкой в формате JSON, если обработчик завершился с ошибкой
+     * @param {http.IncomingMessage} request - Запрос
+     * @param {http.ServerResponse} response - Ответ
+     */
+    async handleRequest(request, response) {
+        const url = new URL(request.url, 'http://localhost');
+        try {
+            this.checkHost(request);
+            const handler = this.routes[`${request.method} ${url.pathname}`];
+            if (!handler) {
+                throw createHttpError(404, `Не найдено: ${request.method} ${url.pathname}`);
+            }
+            if (request.method === 'POST') {
+                this.checkRequestSource(request);
+            }
+            await handler.call(this, request, response, url);
+        } catch (error) {
+            const statusCode = error.statusCode || 500;
+            if (statusCode === 500) {
+                console.error(`Ошибка при обработке ${request.method} ${url.pathname}:`, error);
+                errorLogger.error(error.message, { request: `${request.method} ${url.pathname}` });
+            }
+            if (response.headersSent) {
+                response.end();
+            } else {
+                this.sendJson(response, statusCode, { error: error.message });
+            }
+        }
+    }
+
+    /**
+     * Проверяет, что запрос отправлен по адресу панели: страница чужого сайта, имя которого подменено в DNS на адрес панели,
+     * передает в заголовке Host свое имя и получает отказ
+     * @param {http.IncomingMessage} request - Запрос
+     */
+    checkHost(request) {
+        const host = String(request.headers.host || '').toLowerCase();
+        if (!this.allowedHosts.has(host)) {
+            throw createHttpError(403, `Запрос к адресу ${host || '(без заголовка Host)'} отклонен: панель принимает запросы только по своему адресу`);
+        }
+    }
+
+    /**
+     * Проверяет, что запрос, изменяющий состояние, отправлен страницей панели: заголовок Origin (если браузер его передал)
+     * совпадает с адресом панели в заголовке Host (проверен в checkHost), а заголовок X-Dashboard-Token содержит токен запуска
+     * @param {http.IncomingMessage} request - Запрос
+     */
+    checkRequestSource(request) {
+        const { origin, host } = request.headers;
+        // Origin: null (например, у страницы из файла) тоже отклоняется
+        if (origin && (!URL.canParse(origin) || new URL(origin).host !== host)) {
+            throw createHttpError(403, `Запрос со страницы ${origin} отклонен: принимаются только запросы со страницы панели`);
+        }
+
+        const token = String(request.headers[TOKEN_HEADER] || '');
+        if (token.length !== this.token.length || !crypto.timingSafeEqual(Buffer.from(token), Buffer.from(this.token))) {
+            throw createHttpError(403, 'Неверный токен панели (заголовок X-Dashboard-Token)');
+        }
+    }
+
+    /**
+     * Отправляет ответ в формате JSON
+     * @param {http.ServerResponse} response - Ответ
+     * @param {number} statusCode - Код ответа HTTP
+     * @param {Object} data - Данные
+     */
+    sendJson(response, statusCode, data) {
+        response.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8' });
+        response.end(JSON.stringify(data));
+    }
+
+    /**
+     * Отправляет событие одному подписчику потока событий
+     * @param {http.ServerResponse} client - Поток событий
+     * @param {string} event - Имя события
+     * @param {Object} data - Данные события
+     */
+    sendEvent(client, event, data) {
+        client.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    /**
+     * Отправляет событие всем подписчикам потока событий
+     * @param {string} event - Имя события
+     * @param {Object} data - Данные события
+     */
+    broadcast(event, data) {
+        this.clients.forEach(client => this.sendEvent(client, event, data));
+    }
+
+    /**
+     * Возвращает состояние панели: выбранное сохранение, текущая задача и ожидающее подтверждение
+     * @returns {Object}
+     */
+    getState() {
+        return {
+            modsDirectory: config.modsDirectory,
+            installStrategy: config.installStrategy,
+            selectedSave: this.selectedSave && {
+                name: this.selectedSave.name,
+                source: this.selectedSave.source,
+                gameVersion: this.selectedSave.gameVersion,
+                mods: this.selectedSave.mods.map(modToJson)
+            },
+            job: this.job,
+            confirmation: this.pendingConfirmation && this.pendingConfirmation.mods.map(modToJson)
+        };
+    }
+
+    /**
+     * Проверяет, выполняется ли задача (включая ожидание подтверждения)
+     * @returns {boolean}
+     */
+    isBusy() {
+        return Boolean(this.job) && (this.job.status === 'running' || this.job.status === 'waiting');
+    }
+
+    /**
+     * Читает список модов сохранения и делает сохранение выбранным
+     * @param {string} name - Имя сохранения без расширения
+     * @param {'saves'|'upload'} source - Папка сохранений RimWorld или загруженные через панель сохранения
+     */
+    async selectSave(name, source) {
+        if (typeof name !== 'string' || name === '' || path.basename(name) !== name) {
+            throw createHttpError(400, 'Укажите имя сохранения (name)');
+        }
+        const directory = source === 'upload' ? this.uploadsDirectory : config.savesDirectory;
+        const filePath = path.join(directory, `${name}.rws`);
+        if (!fs.existsSync(filePath)) {
+            throw createHttpError(404, `Сохранение ${name} не найдено в ${directory}`);
+        }
+
+        let modList;
+        try {
+            modList = await readModList(filePath);
+        } catch (error) {
+            throw createHttpError(422, `Не удалось прочитать сохранение ${name}: ${error.message}`);
+        }
+        const mods = new RimworldSaveReader().toModList(modList);
+        this.selectedSave = { name, source: source === 'upload' ? 'upload' : 'saves', filePath, gameVersion: modList.gameVersion, mods };
+        console.log(`Выбрано сохранение ${filePath}, модов: ${mods.length}`);
+        this.broadcast('state', this.getState());
+    }
+
+    /**
+     * Запускает задачу с новым менеджером SteamCMD. Записи о модах и вывод SteamCMD передаются в поток событий,
+     * результат задачи - событием 'job' и в состоянии панели
+     * @param {'analyze'|'download'} type - Тип задачи
+     * @param {function(SteamCmdManager, Array<[string, string, string]>, string|null): Promise<Object>} run - Выполнение задачи
+     * @returns {Object} Задача
+     */
+    startJob(type, run) {
+        if (this.isBusy()) {
+            throw createHttpError(409, `Уже выполняется задача ${this.job.type}`);
+        }
+        if (!this.selectedSave) {
+            throw createHttpError(400, 'Сначала выберите или загрузите сохранение');
+        }
+
+        // Каждая задача - отдельный запуск: свой ID в журнале, отчете и снимках для отката
+        const runId = errorLogger.startRun();
+        const steamManager = new SteamCmdManager();
+        steamManager.on('mod', entry => this.broadcast('mod', entry));
+        steamManager.on('steamcmd-output', text => this.broadcast('steamcmd-output', { text }));
+
+        const job = {
+            type,
+            runId,
+            save: this.selectedSave.name,
+            status: 'running',
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            result: null,
+            report: null,
+            error: null
+        };
+        this.job = job;
+        this.broadcast('job', job);
+
+        const { mods, gameVersion } = this.selectedSave;
+        run(steamManager, mods, gameVersion)
+            .then((result) => {
+                job.status = 'done';
+                job.result = resultToJson(result);
+            })
+            .catch((error) => {
+                console.error(`Ошибка задачи ${type}:`, error);
+                errorLogger.error(error.message, { job: type });
+                job.status = 'failed';
+                job.error = error.message;
+            })
+            .finally(() => {
+                job.finishedAt = new Date().toISOString();
+                job.report = steamManager.report.finish().toJSON();
+                this.pendingConfirmation = null;
+                this.broadcast('job', job);
+            });
+
+        return job;
+    }
+
+    /**
+     * Запрашивает подтверждение загрузки на странице и ждет ответа (POST /api/confirm)
+     * @param {Array<[string, string, string]>} mods - Моды, которые будут загружены
+     * @returns {Promise<boolean>}
+     */
+    requestConfirmation(mods) {
+        return new Promise((resolve) => {
+            this.pendingConfirmation = { mods, resolve };
+            this.job.status = 'waiting';
+            this.broadcast('job', this.job);
+            this.broadcast('confirm', { mods: mods.map(modToJson) });
+        });
+    }
+
+    /**
+     * GET / - HTML-страница панели
+     */
+    handlePage(request, response) {
+        response.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        response.end(renderDashboardPage(this.token));
+    }
+
+    /**
+     * GET /api/events - поток событий: state, job, confirm, mod (запись отчета о моде), steamcmd-output
+     */
+    handleEvents(request, response) {
+        response.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        this.clients.add(response);
+        this.sendEvent(response, 'state', this.getState());
+
+        const keepAlive = setInterval(() => response.write(': ping\n\n'), KEEP_ALIVE_INTERVAL);
+        request.on('close', () => {
+            clearInterval(keepAlive);
+            this.clients.delete(response);
+        });
+    }
+
+    /**
+     * GET /api/state - состояние панели
+     */
+    handleState(request, response) {
+        this.sendJson(response, 200, this.getState());
+    }
+
+    /**
+     * GET /api/saves - сохранения из папки сохранений RimWorld и загруженные через панель
+     */
+    async handleListSaves(request, response) {
+        const toJson = source => save => ({
+            name: save.name,
+            source,
+            modified: save.modified.toISOString(),
+            gameVersion: save.gameVersion,
+            modCount: save.modCount,
+            error: save.error
+        });
+
+        let saves = [];
+        let savesError = null;
+        try {
+            saves = (await RimworldSaveReader.listSaves(config.savesDirectory)).map(toJson('saves'));
+        } catch (error) {
+            savesError = error.message;
+        }
+        const uploads = fs.existsSync(this.uploadsDirectory) ?
+            (await RimworldSaveReader.listSaves(this.uploadsDirectory)).map(toJson('upload')) :
+            [];
+
+        this.sendJson(response, 200, { saves: [...saves, ...uploads], savesError });
+    }
+
+    /**
+     * POST /api/saves/upload?name=<файл>.rws - загрузка сохранения (тело запроса - содержимое файла).
+     * Загруженное сохранение становится выбранным
+     */
+    async handleUpload(request, response, url) {
+        const fileName = url.searchParams.get('name') || '';
+        if (path.basename(fileName) !== fileName || path.extname(fileName).toLowerCase() !== '.rws') {
+            throw createHttpError(400, 'Укажите имя файла сохранения .rws в параметре name');
+        }
+        checkContentType(request, 'application/octet-stream');
+        const { maxUploadSize } = config.dashboard;
+        if (Number(request.headers['content-length']) > maxUploadSize) {
+            throw createHttpError(413, `Файл больше ${maxUploadSize} байт (dashboard.maxUploadSize)`);
+        }
+
+        await fs.promises.mkdir(this.uploadsDirectory, { recursive: true });
+        const name = path.basename(fileName, path.extname(fileName));
+        const filePath = path.join(this.uploadsDirectory, `${name}.rws`);
+        const tempPath = `${filePath}.upload-${process.pid}`;
+
+        let size = 0;
+        const sizeLimit = new Transform({
+            transform(chunk, encoding, callback) {
+                size += chunk.length;
+                callback(size > maxUploadSize ? createHttpError(413, `Файл больше ${maxUploadSize} байт (dashboard.maxUploadSize)`) : null, chunk);
+            }
+        });
+        try {
+            await pipeline(request, sizeLimit, fs.createWriteStream(tempPath));
+            await fs.promises.rename(tempPath, filePath);
+        } catch (error) {
+            await fs.promises.rm(tempPath, { force: true });
+            throw error;
+        }
+
+        console.log(`Загружено сохранение ${filePath} (${size} байт)`);
+        await this.selectSave(name, 'upload');
+        this.sendJson(response, 201, this.getState());
+    }
+
+    /**
+     * POST /api/saves/select {name, source} - выбор сохранения
+     */
+    async handleSelect(request, response) {
+        const { name, source } = await readJsonBody(request);
+        await this.selectSave(name, source);
+        this.sendJson(response, 200, this.getState());
+    }
+
+    /**
+     * POST /api/analyze - анализ модов выбранного сохранения (результат - событием job)
+     */
+    async handleAnalyze(request, response) {
+        await readJsonBody(request);
+        const job = this.startJob('analyze', (steamManager, mods, gameVersion) => steamManager.analyzeMods(mods, gameVersion));
+        this.sendJson(response, 202, job);
+    }
+
+    /**
+     * POST /api/download - загрузка отсутствующих модов выбранного сохранения с подтверждением на странице
+     */
+    async handleDownload(request, response) {
+        await readJsonBody(request);
+        // SteamCMD нужен, только если он есть среди источников модов (как в main.js)
+        if (config.modSources.includes('steamcmd') && !fs.existsSync(config.steamCmdPath)) {
+            throw createHttpError(503, `SteamCMD не найден: ${config.steamCmdPath}`);
+        }
+        const job = this.startJob('download', (steamManager, mods, gameVersion) => steamManager.downloadMods(mods, gameVersion, {
+            confirm: missingMods => this.requestConfirmation(missingMods)
+        }));
+        this.sendJson(response, 202, job);
+    }
+
+    /**
+     * POST /api/confirm {confirmed: boolean} - ответ на запрос подтверждения загрузки
+     */
+    async handleConfirm(request, response) {
+        const { confirmed } = await readJsonBody(request);
+        if (!this.pendingConfirmation) {
+            throw createHttpError(409, 'Нет загрузки, ожидающей подтверждения');
+        }
+
+        const { resolve } = this.pendingConfirmation;
+        this.pendingConfirmation = null;
+        this.job.status = 'running';
+        this.broadcast('job', this.job);
+        resolve(confirmed === true);
+        this.sendJson(response, 200, { confirmed: confirmed === true });
+    }
+
+    /**
+     * GET /api/installed - моды в директории модов и в директории SteamCMD
+     */
+    handleInstalled(request, response) {
+        const mods = new SteamCmdManager().listInstalledMods()
+            .map(({ folder, location, linkTarget, broken }) => ({ folder, location, linkTarget, broken }));
+        this.sendJson(response, 200, { mods });
+    }
+}
+
+module.exports = DashboardServer;
@@ -0,0 +1,311 @@
+/**
+ * Элемент XML-документа
+ * @typedef {Object} XmlElement
+ * @property {string} name - Имя элемента
+ * @property {Object<string, string>} attributes - Атрибуты элемента
+ * @property {Array<XmlElement>} children - Дочерние элементы
+ * @property {string} text - Текстовое содержимое элемента (без дочерних элементов)
+ */
+
+const NAMED_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'"
+};
+
+/**
+ * Заменяет XML-сущности (&amp;, &#38;, &#x26; и т.д.) на символы
+ * @param {string} text - Исходный текст
+ * @returns {string}
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const charCode = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return Number.isNaN(charCode) || charCode > 0x10FFFF ? entity : String.fromCodePoint(charCode);
+        }
+        return NAMED_ENTITIES[code] ?? entity;
+    });
+}
+
+/**
+ * Экранирует спецсимволы XML
+ * @param {string} value - Исходная строка
+ * @returns {string}
+ */
+function escapeXml(value) {
+    return value
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Разбирает атрибуты открывающего тега
+ * @param {string} source - Часть тега после имени элемента
+ * @returns {Object<string, string>}
+ */
+function parseAttributes(source) {
+    const attributes = {};
+    const attributeRegex = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+    let match;
+    while ((match = attributeRegex.exec(source)) !== null) {
+        attributes[match[1]] = decodeEntities(match[3] ?? match[4]);
+    }
+    return attributes;
+}
+
+// Конструкции, не являющиеся элементами: комментарии, CDATA, инструкции обработки и DOCTYPE
+const SPECIAL_SECTIONS = [
+    { start: '<!--', end: '-->' },
+    { start: '<![CDATA[', end: ']]>', isText: true },
+    { start: '<?', end: '?>' },
+    { start: '<!', end: '>' }
+];
+
+// Длина самого длинного начала специальной конструкции
+const MAX_SECTION_START_LENGTH = Math.max(...SPECIAL_SECTIONS.map(({ start }) => start.length));
+
+/**
+ * Потоковый XML-парсер: принимает документ частями и вызывает обработчики для каждого тега и текста.
+ * Разбор можно остановить в любой момент, не дочитывая документ до конца
+ */
+class XmlStreamParser {
+    /**
+     * @param {Object} handlers - Обработчики событий разбора
+     * @param {function(string, Object<string, string>): void} [handlers.onOpenTag] - Открывающий тег (имя, атрибуты)
+     * @param {function(string): void} [handlers.onCloseTag] - Закрывающий тег (для пустых элементов вызывается сразу после открывающего)
+     * @param {function(string): void} [handlers.onText] - Текст с уже замененными XML-сущностями
+     */
+    constructor(handlers) {
+        this.handlers = handlers;
+        this.buffer = '';
+        // Смещение начала буфера от начала документа (для сообщений об ошибках)
+        this.offset = 0;
+        this.openTags = [];
+        this.stopped = false;
+    }
+
+    /**
+     * Передает парсеру очередную часть документа
+     * @param {string} chunk - Часть документа
+     */
+    write(chunk) {
+        if (this.stopped) {
+            return;
+        }
+        this.buffer += chunk;
+        this.processBuffer(false);
+    }
+
+    /**
+     * Завершает разбор; выбрасывает ошибку, если документ оборван
+     */
+    end() {
+        if (this.stopped) {
+            return;
+        }
+        this.processBuffer(true);
+        if (this.openTags.length > 0) {
+            throw new Error(`Некорректный XML: документ оборван, не закрыт элемент <${this.openTags[this.openTags.length - 1]}>`);
+        }
+    }
+
+    /**
+     * Останавливает разбор; последующие части документа игнорируются
+     */
+    stop() {
+        this.stopped = true;
+    }
+
+    /**
+     * Передает текст обработчику
+     * @param {string} text - Текст между тегами
+     * @param {boolean} isRaw - Текст из CDATA (сущности не заменяются)
+     */
+    emitText(text, isRaw) {
+        if (this.openTags.length === 0) {
+            // Вне корневого элемента допускаются только пробельные символы (и BOM)
+            if (text.replace(/^\uFEFF/, '').trim()) {
+                throw new Error(`Некорректный XML: текст вне корневого элемента в позиции ${this.offset}`);
+            }
+            return;
+        }
+        this.handlers.onText?.(isRaw ? text : decodeEntities(text));
+    }
+
+    /**
+     * Разбирает накопленный буфер. Незавершенный хвост остается в буфере до следующей части
+     * @param {boolean} isFinal - Документ передан полностью
+     */
+    processBuffer(isFinal) {
+        const buffer = this.buffer;
+        let position = 0;
+
+        const errorPosition = () => this.offset + position;
+
+        while (!this.stopped && position < buffer.length) {
+            const tagStart = buffer.indexOf('<', position);
+
+            // Текст выдается только целиком, чтобы не разрывать XML-сущности между частями
+            if (tagStart === -1) {
+                if (isFinal) {
+                    this.emitText(buffer.slice(position), false);
+                    position = buffer.length;
+                }
+                break;
+            }
+            if (tagStart > position) {
+                this.emitText(buffer.slice(position, tagStart), false);
+                position = tagStart;
+            }
+
+            if (!isFinal && buffer.length - tagStart < MAX_SECTION_START_LENGTH) {
+                break;
+            }
+
+            const section = SPECIAL_SECTIONS.find(({ start }) => buffer.startsWith(start, tagStart));
+            if (section) {
+                const sectionEnd = buffer.indexOf(section.end, tagStart + section.start.length);
+                if (sectionEnd === -1) {
+                    if (isFinal) {
+                        throw new Error(`Некорректный XML: незакрытая конструкция ${section.start} в позиции ${errorPosition()}`);
+                    }
+                    break;
+                }
+                if (section.isText) {
+                    this.emitText(buffer.slice(tagStart + section.start.length, sectionEnd), true);
+                }
+                position = sectionEnd + section.end.length;
+                continue;
+            }
+
+            const tagEnd = buffer.indexOf('>', tagStart);
+            if (tagEnd === -1) {
+                if (isFinal) {
+                    throw new Error(`Некорректный XML: незакрытый тег в позиции ${errorPosition()}`);
+                }
+                break;
+            }
+            this.processTag(buffer.slice(tagStart + 1, tagEnd), errorPosition());
+            position = tagEnd + 1;
+        }
+
+        this.buffer = buffer.slice(position);
+        this.offset += position;
+    }
+
+    /**
+     * Обрабатывает содержимое тега между < и >
+     * @param {string} tag - Содержимое тега
+     * @param {number} tagPosition - Позиция тега в документе
+     */
+    processTag(tag, tagPosition) {
+        // Закрывающий тег
+        if (tag.startsWith('/')) {
+            const name = tag.slice(1).trim();
+            const expected = this.openTags[this.openTags.length - 1];
+            if (expected !== name) {
+                throw new Error(expected ?
+                    `Некорректный XML: ожидался </${expected}>, найден </${name}> в позиции ${tagPosition}` :
+                    `Некорректный XML: лишний закрывающий тег </${name}> в позиции ${tagPosition}`);
+            }
+            this.openTags.pop();
+            this.handlers.onCloseTag?.(name);
+            return;
+        }
+
+        const selfClosing = tag.endsWith('/');
+        const tagBody = selfClosing ? tag.slice(0, -1) : tag;
+        const nameMatch = tagBody.match(/^([^\s/>]+)/);
+        if (!nameMatch) {
+            throw new Error(`Некорректный XML: пустое имя тега в позиции ${tagPosition}`);
+        }
+
+        const name = nameMatch[1];
+        this.openTags.push(name);
+        this.handlers.onOpenTag?.(name, parseAttributes(tagBody.slice(name.length)));
+
+        if (selfClosing && !this.stopped) {
+            this.openTags.pop();
+            this.handlers.onCloseTag?.(name);
+        }
+    }
+}
+
+/**
+ * Разбирает XML-документ в дерево элементов
+ * @param {string} content - Содержимое XML-документа
+ * @returns {XmlElement} Корневой элемент
+ */
+function parseXml(content) {
+    const root = { name: '#document', attributes: {}, children: [], text: '' };
+    const stack = [root];
+
+    const parser = new XmlStreamParser({
+        onOpenTag: (name, attributes) => {
+            const element = { name, attributes, children: [], text: '' };
+            stack[stack.length - 1].children.push(element);
+            stack.push(element);
+        },
+        onText: (text) => {
+            stack[stack.length - 1].text += text;
+        },
+        onCloseTag: () => {
+            const element = stack.pop();
+            element.text = element.text.trim();
+        }
+    });
+    parser.write(content);
+    parser.end();
+
+    const [documentElement] = root.children;
+    if (!documentElement) {
+        throw new Error('Некорректный XML: документ не содержит элементов');
+    }
+    return documentElement;
+}
+
+/**
+ * Ищет первый дочерний элемент с указанным именем
+ * @param {XmlElement|null} element - Родительский элемент
+ * @param {string} name - Имя дочернего элемента
+ * @returns {XmlElement|null}
+ */
+function findChild(element, name) {
+    return element?.children.find(child => child.name === name) || null;
+}
+
+/**
+ * Возвращает текст дочернего элемента
+ * @param {XmlElement|null} element - Родительский элемент
+ * @param {string} name - Имя дочернего элемента
+ * @returns {string|null}
+ */
+function getChildText(element, name) {
+    const child = findChild(element, name);
+    return child ? child.text : null;
+}
+
+/**
+ * Возвращает элементы <li> дочернего списка
+ * @param {XmlElement|null} element - Родительский элемент
+ * @param {string} name - Имя элемента-списка
+ * @returns {Array<XmlElement>}
+ */
+function getListItems(element, name) {
+    const list = findChild(element, name);
+    return list ? list.children.filter(child => child.name === 'li') : [];
+}
+
+module.exports = {
+    XmlStreamParser,
+    decodeEntities,
+    escapeXml,
+    parseXml,
+    findChild,
+    getChildText,
+    getListItems
+};
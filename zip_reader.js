@@ -0,0 +1,161 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+// Сигнатуры записей архива ZIP
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+
+// Минимальный размер записи конца центрального каталога и максимальная длина комментария архива
+const END_OF_CENTRAL_DIRECTORY_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+
+// Методы сжатия
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+/**
+ * Файл или директория в архиве ZIP
+ * @typedef {Object} ZipEntry
+ * @property {string} name - Путь внутри архива (разделитель /)
+ * @property {boolean} isDirectory - Запись является директорией
+ * @property {number} method - Метод сжатия
+ * @property {number} compressedSize - Размер сжатых данных
+ * @property {number} size - Размер файла
+ * @property {number} localHeaderOffset - Смещение локального заголовка записи
+ */
+
+/**
+ * Читает фрагмент файла
+ * @param {fs.promises.FileHandle} file - Открытый файл
+ * @param {number} position - Смещение
+ * @param {number} length - Длина
+ * @returns {Promise<Buffer>}
+ */
+async function readAt(file, position, length) {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await file.read(buffer, 0, length, position);
+    return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * Читает центральный каталог архива. ZIP64 и зашифрованные архивы не поддерживаются
+ * @param {fs.promises.FileHandle} file - Открытый файл архива
+ * @param {string} zipPath - Путь к архиву для сообщений
+ * @returns {Promise<Array<ZipEntry>>}
+ */
+async function readCentralDirectory(file, zipPath) {
+    const { size } = await file.stat();
+    const tailSize = Math.min(size, END_OF_CENTRAL_DIRECTORY_SIZE + MAX_COMMENT_SIZE);
+    const tail = await readAt(file, size - tailSize, tailSize);
+
+    let endOffset = -1;
+    for (let offset = tail.length - END_OF_CENTRAL_DIRECTORY_SIZE; offset >= 0; offset--) {
+        if (tail.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+            endOffset = offset;
+            break;
+        }
+    }
+    if (endOffset === -1) {
+        throw new Error(`Файл ${zipPath} не является архивом ZIP`);
+    }
+
+    const entryCount = tail.readUInt16LE(endOffset + 10);
+    const directorySize = tail.readUInt32LE(endOffset + 12);
+    const directoryOffset = tail.readUInt32LE(endOffset + 16);
+    if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+        throw new Error(`Архив ${zipPath} в формате ZIP64 не поддерживается`);
+    }
+
+    const directory = await readAt(file, directoryOffset, directorySize);
+    const entries = [];
+    let offset = 0;
+    for (let index = 0; index < entryCount; index++) {
+        if (offset + 46 > directory.length || directory.readUInt32LE(offset) !== CENTRAL_DIRECTORY_SIGNATURE) {
+            throw new Error(`Поврежден центральный каталог архива ${zipPath}`);
+        }
+        const flags = directory.readUInt16LE(offset + 8);
+        const nameLength = directory.readUInt16LE(offset + 28);
+        const extraLength = directory.readUInt16LE(offset + 30);
+        const commentLength = directory.readUInt16LE(offset + 32);
+        // Бит 11 - имена в UTF-8, иначе в кодировке DOS (имена модов обычно латиницей)
+        const name = directory.toString(flags & 0x800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength).replace(/\\/g, '/');
+        if (flags & 0x1) {
+            throw new Error(`Архив ${zipPath} зашифрован (${name})`);
+        }
+        entries.push({
+            name,
+            isDirectory: name.endsWith('/'),
+            method: directory.readUInt16LE(offset + 10),
+            compressedSize: directory.readUInt32LE(offset + 20),
+            size: directory.readUInt32LE(offset + 24),
+            localHeaderOffset: directory.readUInt32LE(offset + 42)
+        });
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
+
+/**
+ * Читает и распаковывает данные файла из архива
+ * @param {fs.promises.FileHandle} file - Открытый файл архива
+ * @param {ZipEntry} entry - Запись архива
+ * @param {string} zipPath - Путь к архиву для сообщений
+ * @returns {Promise<Buffer>}
+ */
+async function readEntryData(file, entry, zipPath) {
+    const header = await readAt(file, entry.localHeaderOffset, 30);
+    if (header.length < 30 || header.readUInt32LE(0) !== LOCAL_HEADER_SIGNATURE) {
+        throw new Error(`Поврежден заголовок ${entry.name} в архиве ${zipPath}`);
+    }
+    const dataOffset = entry.localHeaderOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+    const compressed = await readAt(file, dataOffset, entry.compressedSize);
+
+    let data;
+    if (entry.method === METHOD_STORED) {
+        data = compressed;
+    } else if (entry.method === METHOD_DEFLATE) {
+        data = zlib.inflateRawSync(compressed);
+    } else {
+        throw new Error(`Метод сжатия ${entry.method} файла ${entry.name} в архиве ${zipPath} не поддерживается`);
+    }
+    if (data.length !== entry.size) {
+        throw new Error(`Файл ${entry.name} в архиве ${zipPath} поврежден: размер ${data.length} вместо ${entry.size} байт`);
+    }
+    return data;
+}
+
+/**
+ * Распаковывает архив ZIP в директорию. Пути, выходящие за пределы директории, считаются ошибкой
+ * @param {string} zipPath - Путь к архиву
+ * @param {string} targetDirectory - Директория для распаковки (создается при необходимости)
+ * @returns {Promise<Array<string>>} Пути распакованных файлов и директорий внутри архива
+ */
+async function extractZip(zipPath, targetDirectory) {
+    const root = path.resolve(targetDirectory);
+    const file = await fs.promises.open(zipPath, 'r');
+    try {
+        const entries = await readCentralDirectory(file, zipPath);
+        await fs.promises.mkdir(root, { recursive: true });
+        for (const entry of entries) {
+            const entryPath = path.resolve(root, entry.name);
+            if (entryPath !== root && !entryPath.startsWith(root + path.sep)) {
+                throw new Error(`Недопустимый путь ${entry.name} в архиве ${zipPath}`);
+            }
+            if (entry.isDirectory) {
+                await fs.promises.mkdir(entryPath, { recursive: true });
+                continue;
+            }
+            await fs.promises.mkdir(path.dirname(entryPath), { recursive: true });
+            await fs.promises.writeFile(entryPath, await readEntryData(file, entry, zipPath));
+        }
+        return entries.map(entry => entry.name);
+    } finally {
+        await file.close();
+    }
+}
+
+module.exports = {
+    extractZip
+};